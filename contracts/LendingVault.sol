@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/extensions/ERC4626.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/utils/SafeERC20.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/access/AccessControl.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/ReentrancyGuard.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/structs/EnumerableSet.sol";
+import "./RevenueLoan.sol";
+
+/**
+ * @title LendingVault
+ * @notice Pooled ERC-4626 lender for FlowCredit loans in one ERC-20 asset. Depositors get
+ *         shares; the vault funds open loan requests that meet the curator's policy and
+ *         holds the resulting loan notes.
+ * @dev Anyone (e.g. a keeper) may ask the vault to fund a loan; the policy alone decides.
+ *      {totalAssets} is the idle balance plus the principal still outstanding on active
+ *      positions, so repayments raise the share price as profit is received. A position in
+ *      default is written down to the collateral it can still seize, so the loss shows as
+ *      soon as the loan defaults. Withdrawals are limited to idle assets.
+ */
+contract LendingVault is ERC4626, AccessControl, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // ────────────────────────────────────────────────────────────
+    //                      CUSTOM ERRORS
+    // ────────────────────────────────────────────────────────────
+
+    error LoanNotEligible();
+    error InsufficientLiquidity();
+    error TooManyPositions();
+    error NotAPosition();
+    error PositionStillActive();
+
+    // ────────────────────────────────────────────────────────────
+    //                    STRUCTS & STATE VARIABLES
+    // ────────────────────────────────────────────────────────────
+
+    /// @notice Limits a loan request must meet for the vault to fund it.
+    struct FundingPolicy {
+        uint256 maxPrincipal;            // Largest amount the vault commits to one loan
+        uint256 minRepaymentCapPercent;  // Lowest acceptable repayment cap
+        uint256 minCollateralRatioBps;   // Collateral required, in basis points of principal
+        uint256 maxDuration;             // Longest acceptable duration, in seconds
+        uint256 minLoansRepaid;          // Loans the borrower must already have repaid
+        uint256 maxDefaults;             // Defaults the borrower may have on record
+    }
+
+    /// @notice May change the funding policy and agree to amendments of loans the vault holds.
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE");
+
+    /// @notice Cap on open positions, which bounds the cost of {totalAssets}.
+    uint256 public constant MAX_POSITIONS = 50;
+
+    RevenueLoan public immutable revenueLoan;
+
+    FundingPolicy public policy;
+
+    /// @notice Amount the vault committed to each loan it funded.
+    mapping(uint256 => uint256) public principalFunded;
+
+    /// @dev Loans the vault funded that have not been closed out yet.
+    EnumerableSet.UintSet private positions;
+
+    // ────────────────────────────────────────────────────────────
+    //                         EVENTS
+    // ────────────────────────────────────────────────────────────
+
+    event PolicyUpdated(
+        uint256 maxPrincipal,
+        uint256 minRepaymentCapPercent,
+        uint256 minCollateralRatioBps,
+        uint256 maxDuration,
+        uint256 minLoansRepaid,
+        uint256 maxDefaults
+    );
+    event PositionOpened(uint256 indexed loanId, uint256 amount);
+    event PositionClosed(uint256 indexed loanId);
+
+    // ────────────────────────────────────────────────────────────
+    //                       CONSTRUCTOR
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @param _asset       ERC-20 the vault lends in; must be allowlisted in RevenueLoan.
+     * @param _revenueLoan Protocol contract whose loans the vault funds.
+     * @param _admin       Role admin (e.g. the protocol timelock).
+     * @param _curator     Initial holder of {CURATOR_ROLE}.
+     * @param _name        Share token name.
+     * @param _symbol      Share token symbol.
+     */
+    constructor(
+        IERC20 _asset,
+        RevenueLoan _revenueLoan,
+        address _admin,
+        address _curator,
+        string memory _name,
+        string memory _symbol
+    ) ERC4626(_asset) ERC20(_name, _symbol) {
+        revenueLoan = _revenueLoan;
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(CURATOR_ROLE, _curator);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                        CURATION
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Sets the limits loans must meet to be funded from now on.
+     * @dev Only callable by a curator. Existing positions are unaffected. Emits {PolicyUpdated}.
+     * @param _policy New funding policy.
+     */
+    function setPolicy(FundingPolicy calldata _policy) external onlyRole(CURATOR_ROLE) {
+        policy = _policy;
+        emit PolicyUpdated(
+            _policy.maxPrincipal,
+            _policy.minRepaymentCapPercent,
+            _policy.minCollateralRatioBps,
+            _policy.maxDuration,
+            _policy.minLoansRepaid,
+            _policy.maxDefaults
+        );
+    }
+
+    /**
+     * @notice Accepts the pending amendment of a loan the vault holds a note of.
+     * @dev Only callable by a curator. The vault is the note holder, so without this its
+     *      loans could never be amended. Reverts as {RevenueLoan-acceptAmendment} does.
+     * @param _loanId      ID of the loan.
+     * @param _amendmentId ID of the pending amendment.
+     */
+    function acceptAmendment(uint256 _loanId, uint256 _amendmentId) external onlyRole(CURATOR_ROLE) {
+        revenueLoan.acceptAmendment(_loanId, _amendmentId);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                        POSITIONS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Funds the unfilled principal of an open loan request from idle assets.
+     * @dev Callable by anyone; reverts with {LoanNotEligible} unless the request meets the
+     *      policy. The commitment fills the request, so the loan activates and its note is
+     *      minted to the vault. Emits {PositionOpened}.
+     * @param _loanId ID of the loan request.
+     */
+    function fundLoan(uint256 _loanId) external nonReentrant {
+        (RevenueLoan.Loan memory loan, , ) = revenueLoan.getLoan(_loanId);
+        uint256 amount = loan.principal - loan.totalCommitted;
+
+        if (!_isEligible(loan, amount))                        revert LoanNotEligible();
+        if (amount > IERC20(asset()).balanceOf(address(this))) revert InsufficientLiquidity();
+        if (positions.length() == MAX_POSITIONS)               revert TooManyPositions();
+
+        // Effects
+        principalFunded[_loanId] = amount;
+        positions.add(_loanId);
+
+        emit PositionOpened(_loanId, amount);
+
+        // Interaction
+        IERC20(asset()).forceApprove(address(revenueLoan), amount);
+        revenueLoan.fundLoan(_loanId, amount);
+    }
+
+    /**
+     * @notice Claims the collateral of a defaulted loan the vault holds a note of.
+     * @dev Callable by anyone. The seized collateral becomes idle assets, which the position
+     *      was already written down to, and the position is closed. Emits {PositionClosed}.
+     * @param _loanId ID of the defaulted loan.
+     */
+    function claimCollateral(uint256 _loanId) external nonReentrant {
+        if (!positions.contains(_loanId)) revert NotAPosition();
+        revenueLoan.claimCollateral(_loanId);
+        _closePosition(_loanId);
+    }
+
+    /**
+     * @notice Drops a loan that is no longer active (repaid or defaulted), or in default with
+     *         no collateral left to claim, from the open positions, freeing a slot.
+     * @dev Callable by anyone. The vault keeps the note, so anything the borrower still pays
+     *      arrives as idle assets. Emits {PositionClosed}.
+     * @param _loanId ID of the closed loan.
+     */
+    function closePosition(uint256 _loanId) external {
+        if (!positions.contains(_loanId)) revert NotAPosition();
+        (RevenueLoan.Loan memory loan, , ) = revenueLoan.getLoan(_loanId);
+        bool writtenOff = loan.collateralAmount == 0 && revenueLoan.isInDefault(_loanId);
+        if (loan.active && !writtenOff) revert PositionStillActive();
+        _closePosition(_loanId);
+    }
+
+    /**
+     * @notice IDs of the loans the vault currently has open positions in.
+     */
+    function getPositions() external view returns (uint256[] memory) {
+        return positions.values();
+    }
+
+    function _closePosition(uint256 _loanId) private {
+        positions.remove(_loanId);
+        emit PositionClosed(_loanId);
+    }
+
+    /**
+     * @dev Whether a request in the vault's asset meets every limit of the policy.
+     */
+    function _isEligible(RevenueLoan.Loan memory _loan, uint256 _amount) private view returns (bool) {
+        FundingPolicy memory p = policy;
+        (RevenueLoan.CreditHistory memory history, ) = revenueLoan.getCreditHistory(_loan.borrower);
+
+        return _loan.asset == asset()
+            && _amount != 0
+            && _amount <= p.maxPrincipal
+            && _loan.repaymentCapPercent >= p.minRepaymentCapPercent
+            && _loan.collateralAmount * 10_000 >= _loan.principal * p.minCollateralRatioBps
+            && _loan.duration <= p.maxDuration
+            && history.loansRepaid >= p.minLoansRepaid
+            && history.defaults <= p.maxDefaults;
+    }
+
+    /**
+     * @dev Principal of a position not yet recovered. Repayments count towards principal
+     *      first, net of the loan's servicing fee, so only the part above it is profit.
+     *      Loans in default are worth at most the vault's pro-rata share of the collateral
+     *      that claiming would seize, i.e. nothing when there is none. Inactive loans are
+     *      worth nothing: whatever they paid out is already held.
+     */
+    function _positionValue(uint256 _loanId) private view returns (uint256) {
+        (RevenueLoan.Loan memory loan, , ) = revenueLoan.getLoan(_loanId);
+        if (!loan.active) return 0;
+
+        (, uint256 servicingBps) = revenueLoan.loanFeeRates(_loanId);
+        uint256 funded    = principalFunded[_loanId];
+        uint256 recovered = (loan.totalRepaid * funded / loan.principal) * (10_000 - servicingBps) / 10_000;
+        uint256 value     = recovered < funded ? funded - recovered : 0;
+        if (!revenueLoan.isInDefault(_loanId)) return value;
+
+        uint256 owed      = revenueLoan.remainingObligation(_loanId);
+        uint256 seizable  = loan.collateralAmount < owed ? loan.collateralAmount : owed;
+        uint256 claimable = seizable * funded / loan.principal;
+        return claimable < value ? claimable : value;
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                      ERC-4626 HOOKS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Idle assets plus the unrecovered principal of all open positions.
+     */
+    function totalAssets() public view override returns (uint256 total) {
+        total = IERC20(asset()).balanceOf(address(this));
+        uint256 count = positions.length();
+        for (uint256 i = 0; i < count; i++) {
+            total += _positionValue(positions.at(i));
+        }
+    }
+
+    /**
+     * @notice Assets `_owner` can withdraw now, limited by the vault's idle balance.
+     */
+    function maxWithdraw(address _owner) public view override returns (uint256) {
+        uint256 assets = super.maxWithdraw(_owner);
+        uint256 idle   = IERC20(asset()).balanceOf(address(this));
+        return assets < idle ? assets : idle;
+    }
+
+    /**
+     * @notice Shares `_owner` can redeem now, limited by the vault's idle balance.
+     */
+    function maxRedeem(address _owner) public view override returns (uint256) {
+        uint256 shares    = super.maxRedeem(_owner);
+        uint256 available = convertToShares(IERC20(asset()).balanceOf(address(this)));
+        return shares < available ? shares : available;
+    }
+}
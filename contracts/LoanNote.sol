@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/access/Ownable.sol";
+
+/**
+ * @notice Callback the owning contract receives whenever a note changes hands after minting.
+ */
+interface ILoanNoteOwner {
+    function onNoteTransfer(uint256 noteId, address from, address to) external;
+}
+
+/**
+ * @title LoanNote
+ * @notice Transferable ERC-721 representing a lender's position in a FlowCredit loan.
+ * @dev Deployed and owned by {RevenueLoan}, which is the only account allowed to mint.
+ *      Position data (loan ID, committed amount) lives in RevenueLoan; repayments and
+ *      collateral rights follow whoever currently holds the note. Transfers are reported
+ *      back to RevenueLoan so its lender index follows the notes too.
+ */
+contract LoanNote is ERC721Enumerable, Ownable {
+
+    uint256 public nextNoteId = 1;
+
+    /// @notice Times each note has changed hands, its mint included, so integrations can
+    ///         tell a note that stayed with its holder from one that left and came back.
+    mapping(uint256 => uint256) public transferCount;
+
+    constructor() ERC721("FlowCredit Loan Note", "FCNOTE") Ownable(msg.sender) {}
+
+    /**
+     * @notice Mints the next note to `_to`.
+     * @dev Only callable by the owning RevenueLoan contract. Uses `_mint` rather than
+     *      `_safeMint` so a lender contract without an ERC-721 receiver cannot block
+     *      loan activation.
+     * @param _to Initial holder of the note.
+     * @return noteId ID of the newly minted note.
+     */
+    function mint(address _to) external onlyOwner returns (uint256 noteId) {
+        noteId = nextNoteId++;
+        _mint(_to, noteId);
+    }
+
+    /**
+     * @dev Counts every change of holder in {transferCount} and reports transfers between
+     *      two holders to the owner. Mints are indexed by the owner itself.
+     */
+    function _update(address _to, uint256 _tokenId, address _auth) internal override returns (address) {
+        transferCount[_tokenId]++;
+        address from = super._update(_to, _tokenId, _auth);
+        if (from != address(0) && _to != address(0)) {
+            ILoanNoteOwner(owner()).onNoteTransfer(_tokenId, from, _to);
+        }
+        return from;
+    }
+}
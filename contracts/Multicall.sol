@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Multicall
+ * @notice Read-only call aggregator: runs many view calls in one `eth_call` so frontends
+ *         can load hundreds of loans in a handful of requests.
+ * @dev Every call is a `staticcall` and reports its own outcome, so one failing call (e.g.
+ *      a loan ID that does not exist) does not fail the batch. Holds no state and cannot
+ *      write to any contract.
+ */
+contract Multicall {
+
+    struct Call {
+        address target;    // Contract to call
+        bytes callData;    // ABI-encoded view call
+    }
+
+    struct Result {
+        bool success;      // Whether the call returned without reverting
+        bytes returnData;  // Return data, or the revert data when it failed
+    }
+
+    /**
+     * @notice Runs each call in order and returns every outcome.
+     * @param _calls Calls to run.
+     * @return results Outcome of each call, in the order given.
+     */
+    function aggregate(Call[] calldata _calls) external view returns (Result[] memory results) {
+        uint256 count = _calls.length;
+        results = new Result[](count);
+        for (uint256 i = 0; i < count; i++) {
+            (results[i].success, results[i].returnData) = _calls[i].target.staticcall(_calls[i].callData);
+        }
+    }
+
+    /**
+     * @notice Timestamp of the current block, e.g. batched with {aggregate} so the results
+     *         can be related to chain time.
+     */
+    function getBlockTimestamp() external view returns (uint256) {
+        return block.timestamp;
+    }
+}
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/utils/SafeERC20.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/ReentrancyGuard.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/structs/EnumerableSet.sol";
+import "./RevenueLoan.sol";
+
+/**
+ * @title NoteMarket
+ * @notice Secondary market for active FlowCredit loan positions. A note holder lists
+ *         their {LoanNote} at an asking price in the loan asset; a buyer pays it and
+ *         receives the note, and with it every future repayment and collateral right.
+ * @dev Listings are non-custodial: the seller keeps the note (and its payouts) until it
+ *      sells, after approving this contract on the note. A listing only counts while the
+ *      loan is active and the note has not changed hands since it was listed, so listings
+ *      cancel themselves when the loan closes or the note moves, even if it later returns
+ *      to the seller; anyone may then clear them from the index.
+ */
+contract NoteMarket is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // ────────────────────────────────────────────────────────────
+    //                      CUSTOM ERRORS
+    // ────────────────────────────────────────────────────────────
+
+    error NotNoteHolder();
+    error LoanNotActive();
+    error MarketNotApproved();
+    error InvalidPrice();
+    error ListingNotActive();
+    error ListingStillActive();
+    error PriceChanged();
+    error IncorrectPayment();
+    error CannotBuyOwnListing();
+    error TransferFailed();
+
+    // ────────────────────────────────────────────────────────────
+    //                    STRUCTS & STATE VARIABLES
+    // ────────────────────────────────────────────────────────────
+
+    struct Listing {
+        address seller;         // Holder of the note when it was listed
+        uint256 price;          // Asking price in the loan asset
+        uint256 noteTransfers;  // The note's {LoanNote-transferCount} when it was listed
+    }
+
+    RevenueLoan public immutable revenueLoan;
+    LoanNote public immutable loanNote;
+
+    /// @notice Listing of each note (seller is address(0) when the note is not listed).
+    mapping(uint256 => Listing) public listings;
+
+    /// @dev Notes with a listing on record, live or not yet cleared.
+    EnumerableSet.UintSet private listedNotes;
+
+    // ────────────────────────────────────────────────────────────
+    //                         EVENTS
+    // ────────────────────────────────────────────────────────────
+
+    event PositionListed(uint256 indexed noteId, uint256 indexed loanId, address indexed seller, uint256 price);
+    event ListingCancelled(uint256 indexed noteId);
+    event PositionSold(
+        uint256 indexed noteId,
+        uint256 indexed loanId,
+        address indexed buyer,
+        address seller,
+        uint256 price
+    );
+
+    constructor(RevenueLoan _revenueLoan) {
+        revenueLoan = _revenueLoan;
+        loanNote    = _revenueLoan.loanNote();
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                         LISTINGS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Note holder lists a position of an active loan for sale, or reprices it.
+     * @dev The market must be approved on the note ({IERC721-approve} or
+     *      {IERC721-setApprovalForAll}). Emits {PositionListed}.
+     * @param _noteId ID of the note to sell.
+     * @param _price  Asking price in the loan asset.
+     */
+    function list(uint256 _noteId, uint256 _price) external {
+        if (loanNote.ownerOf(_noteId) != msg.sender) revert NotNoteHolder();
+        if (_price == 0)                             revert InvalidPrice();
+        if (!_loanActive(_noteId))                   revert LoanNotActive();
+        if (!_marketApproved(_noteId, msg.sender))   revert MarketNotApproved();
+
+        listings[_noteId] = Listing({
+            seller:        msg.sender,
+            price:         _price,
+            noteTransfers: loanNote.transferCount(_noteId)
+        });
+        listedNotes.add(_noteId);
+
+        emit PositionListed(_noteId, revenueLoan.noteLoanId(_noteId), msg.sender, _price);
+    }
+
+    /**
+     * @notice Seller withdraws a listing. Anyone may clear a listing that is no longer
+     *         live because the loan closed or the note changed hands.
+     * @dev Emits {ListingCancelled}.
+     * @param _noteId ID of the listed note.
+     */
+    function cancelListing(uint256 _noteId) external {
+        Listing storage listing = listings[_noteId];
+        if (listing.seller == address(0)) revert ListingNotActive();
+        if (listing.seller != msg.sender && isListed(_noteId)) revert ListingStillActive();
+
+        _delist(_noteId);
+        emit ListingCancelled(_noteId);
+    }
+
+    /**
+     * @notice Buys a listed position at its asking price, paid to the seller in the loan
+     *         asset. Native loans must attach exactly `_price` as `msg.value`; token loans
+     *         need an allowance for this contract.
+     * @dev `_price` guards against the seller repricing before the purchase lands.
+     *      Emits {PositionSold}.
+     * @param _noteId ID of the listed note.
+     * @param _price  Asking price the buyer agreed to.
+     */
+    function buy(uint256 _noteId, uint256 _price) external payable nonReentrant {
+        Listing memory listing = listings[_noteId];
+        address asset = _loan(_noteId).asset;
+
+        if (!isListed(_noteId))                              revert ListingNotActive();
+        if (listing.price != _price)                         revert PriceChanged();
+        if (msg.sender == listing.seller)                    revert CannotBuyOwnListing();
+        if (msg.value != (asset == address(0) ? _price : 0)) revert IncorrectPayment();
+
+        // Effects
+        _delist(_noteId);
+        emit PositionSold(_noteId, revenueLoan.noteLoanId(_noteId), msg.sender, listing.seller, _price);
+
+        // Interactions: pay the seller, then hand over the note
+        if (asset == address(0)) {
+            (bool success, ) = listing.seller.call{value: _price}("");
+            if (!success) revert TransferFailed();
+        } else {
+            IERC20(asset).safeTransferFrom(msg.sender, listing.seller, _price);
+        }
+        loanNote.transferFrom(listing.seller, msg.sender, _noteId);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                      VIEW FUNCTIONS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Whether a note can currently be bought: it is listed, its loan is active and
+     *         the seller has held it since listing and has approved it.
+     * @param _noteId ID of the note.
+     */
+    function isListed(uint256 _noteId) public view returns (bool) {
+        Listing storage listing = listings[_noteId];
+        address seller = listing.seller;
+        return seller != address(0)
+            && loanNote.ownerOf(_noteId) == seller
+            && loanNote.transferCount(_noteId) == listing.noteTransfers
+            && _loanActive(_noteId)
+            && _marketApproved(_noteId, seller);
+    }
+
+    /**
+     * @notice Returns a page of the listings on record. Listings that are no longer live
+     *         are included with `live` false until cleared.
+     * @dev Order is not stable across removals.
+     * @param _offset Index of the first listing to return.
+     * @param _limit  Maximum number of listings to return.
+     * @return noteIds IDs of the listed notes.
+     * @return sellers Seller of each note.
+     * @return prices  Asking price of each note, in its loan asset.
+     * @return live    Whether each listing can currently be bought (see {isListed}).
+     * @return total   Total number of listings on record.
+     */
+    function getListings(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (
+            uint256[] memory noteIds,
+            address[] memory sellers,
+            uint256[] memory prices,
+            bool[] memory live,
+            uint256 total
+        )
+    {
+        total = listedNotes.length();
+        uint256 count = _offset >= total ? 0 : total - _offset;
+        if (count > _limit) count = _limit;
+
+        noteIds = new uint256[](count);
+        sellers = new address[](count);
+        prices  = new uint256[](count);
+        live    = new bool[](count);
+        for (uint256 i = 0; i < count; i++) {
+            uint256 noteId = listedNotes.at(_offset + i);
+            noteIds[i] = noteId;
+            sellers[i] = listings[noteId].seller;
+            prices[i]  = listings[noteId].price;
+            live[i]    = isListed(noteId);
+        }
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                     INTERNAL HELPERS
+    // ────────────────────────────────────────────────────────────
+
+    function _delist(uint256 _noteId) private {
+        delete listings[_noteId];
+        listedNotes.remove(_noteId);
+    }
+
+    function _loan(uint256 _noteId) private view returns (RevenueLoan.Loan memory loan) {
+        (loan, , ) = revenueLoan.getLoan(revenueLoan.noteLoanId(_noteId));
+    }
+
+    function _loanActive(uint256 _noteId) private view returns (bool) {
+        return _loan(_noteId).active;
+    }
+
+    function _marketApproved(uint256 _noteId, address _holder) private view returns (bool) {
+        return loanNote.getApproved(_noteId) == address(this)
+            || loanNote.isApprovedForAll(_holder, address(this));
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/governance/TimelockController.sol";
+
+/**
+ * @title ProtocolTimelock
+ * @notice Delay that every FlowCredit parameter change, unpause and role grant waits out.
+ * @dev Plain OpenZeppelin {TimelockController}. Proposers queue calls with `schedule`
+ *      ({CallScheduled}), executors run them after `minDelay` ({CallExecuted}), so users can
+ *      watch queued changes and exit before they take effect.
+ */
+contract ProtocolTimelock is TimelockController {
+
+    /**
+     * @param _minDelay  Minimum delay between scheduling and executing a call, in seconds.
+     * @param _proposers Accounts allowed to queue and cancel calls.
+     * @param _executors Accounts allowed to execute ready calls (address(0) for anyone).
+     * @param _admin     Optional account that may manage timelock roles (address(0) for none).
+     */
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        address _admin
+    ) TimelockController(_minDelay, _proposers, _executors, _admin) {}
+}
@@ -2,10 +2,18 @@
 pragma solidity ^0.8.20;
 
 import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/ReentrancyGuard.sol";
-import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/access/Ownable.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/access/AccessControl.sol";
 import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/Pausable.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/cryptography/ECDSA.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/cryptography/MessageHashUtils.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/IERC20.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/utils/SafeERC20.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/structs/EnumerableSet.sol";
+import "./LoanNote.sol";
 
-contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
+contract RevenueLoan is ReentrancyGuard, AccessControl, Pausable {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
 
     // ────────────────────────────────────────────────────────────
     //                      CUSTOM ERRORS
@@ -30,38 +38,234 @@ contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
     error LoanFullyRepaid();
     error NoCollateral();
     error TransferFailed();
+    error NotRevenueReporter();
+    error InvalidRevenue();
+    error InvalidAttestation();
+    error LoanAlreadyCancelled();
+    error InvalidFundingDeadline();
+    error LoanRequestExpired();
+    error LoanRequestNotExpired();
+    error AssetNotAllowed();
+    error IncorrectCollateralAmount();
+    error IncorrectRepaymentAmount();
+    error CommitmentExceedsRemaining();
+    error TooManyLenders();
+    error CommitmentTooSmall();
+    error NotLoanNote();
+    error NoCommitment();
+    error NothingToWithdraw();
+    error InvalidSchedule();
+    error InvalidGracePolicy();
+    error GracePeriodActive();
+    error FeeTooHigh();
+    error InvalidTimelock();
+    error NotTreasury();
+    error InvalidOffer();
+    error OfferDoesNotExist();
+    error NotOfferLender();
+    error InsufficientOfferLiquidity();
+    error OfferTermsNotMet();
+    error NotLoanParty();
+    error AmendmentDoesNotExist();
+    error InvalidAmendment();
 
     // ────────────────────────────────────────────────────────────
     //                         STRUCTS
     // ────────────────────────────────────────────────────────────
 
     /**
-     * @dev revenueSharePercent is reserved for future integration with off-chain revenue
-     *      reporting or oracle-based verification systems. The current implementation
-     *      enforces repayment via repaymentCapPercent only; revenueSharePercent does not
-     *      affect on-chain repayment logic in this version.
+     * @dev revenueSharePercent is enforced through revenue reports. Each report submitted by an
+     *      authorized reporter (or by the borrower with a reporter-signed attestation) adds
+     *      `revenue * revenueSharePercent / 100` to `totalOwed`, bounded by the repayment cap.
+     *      Reported obligations left unpaid past `obligationDueTime` count as a default even
+     *      before the loan matures.
      */
     struct Loan {
         address borrower;             // Who receives the principal
-        address lender;               // Who provides the principal
-        uint256 principal;            // Original loan amount (wei)
-        uint256 revenueSharePercent;  // % of revenue to share (reserved for future oracle use)
+        address lender;               // Original lead lender; current rights follow the loan notes
+        uint256 principal;            // Original loan amount (wei or token units)
+        uint256 revenueSharePercent;  // % of reported revenue owed to the lender
         uint256 repaymentCapPercent;  // Max % of principal to repay (e.g. 120 = 120%)
         uint256 totalRepaid;          // Cumulative amount repaid (wei)
         bool funded;                  // Has the loan been funded by a lender?
         bool active;                  // Is the loan currently active?
-        uint256 collateralAmount;     // ETH deposited by borrower at creation (wei)
+        uint256 collateralAmount;     // Loan asset deposited by borrower at creation
         uint256 startTime;            // Block timestamp when loan was funded
         uint256 duration;             // Loan duration in seconds after funding
+        uint256 totalOwed;            // Cumulative obligation from revenue reports (wei)
+        uint256 obligationDueTime;    // Deadline for the oldest unpaid reported obligation, on the loan clock
+        bool cancelled;               // Was the request withdrawn (or refunded after expiry) before funding?
+        uint256 fundingDeadline;      // Last timestamp at which a lender may fund the request
+        address asset;                // ERC-20 the loan is denominated in (address(0) = native CTC)
+        uint256 totalCommitted;       // Sum of lender commitments towards the principal
+    }
+
+    /// @notice Optional installment schedule a borrower attaches to a loan at creation.
+    struct PaymentSchedule {
+        uint256 period;                  // Seconds per installment period (0 = no schedule)
+        uint256 installmentAmount;       // Minimum due per period, in the loan asset
+        uint256 installmentPercent;      // Alternatively, % of the repayment cap due per period
+        uint256 missedPeriodsToDefault;  // Missed periods after which lenders may claim collateral
+    }
+
+    /// @notice Optional window after maturity during which the borrower can still cure.
+    struct GracePolicy {
+        uint256 period;            // Seconds after maturity before collateral can be seized
+        uint256 lateFeeBpsPerDay;  // Fee accruing on the unpaid cap during the window, in bps per day
+    }
+
+    /// @notice Standing offer a lender funds loans from, within the limits below.
+    struct LoanOffer {
+        address lender;                  // Offer owner and lender of every loan drawn from it
+        address asset;                   // Loan asset (address(0) = native CTC)
+        uint256 liquidity;               // Escrowed principal not yet drawn
+        uint256 maxPrincipal;            // Largest principal per loan
+        uint256 minRepaymentCapPercent;  // Lowest acceptable repayment cap
+        uint256 maxDuration;             // Longest acceptable duration, in seconds
+        uint256 minCollateralRatioBps;   // Lowest acceptable collateral / principal, in bps
+    }
+
+    /// @notice Track record of a borrower across all their funded loans.
+    struct CreditHistory {
+        uint256 loansTaken;           // Loans that were funded
+        uint256 loansRepaid;          // Loans repaid up to the cap
+        uint256 defaults;             // Loans whose collateral was claimed
+        uint256 totalRepaymentTime;   // Sum of funding-to-closure times of repaid loans, in seconds
+    }
+
+    /// @notice Protocol fee rates in basis points, snapshotted per loan at creation.
+    struct FeeRates {
+        uint256 originationBps;  // Taken from the principal when the loan is funded
+        uint256 servicingBps;    // Skimmed from each repayment before it reaches the lenders
+    }
+
+    /// @notice Proposed new terms for a funded loan, applied once the borrower and every note
+    ///         holder have accepted them.
+    struct Amendment {
+        uint256 duration;             // New duration in seconds, still counted from funding
+        uint256 repaymentCapPercent;  // New repayment cap (e.g. 130 = 130%)
+        PaymentSchedule schedule;     // New installment schedule (all zero for none)
+    }
+
+    /// @notice Late fees of a loan; `accruedUntil` is the loan-clock time `accrued` was last brought up to date.
+    struct LateFees {
+        uint256 accrued;
+        uint256 paid;
+        uint256 accruedUntil;
     }
 
     // ────────────────────────────────────────────────────────
     //                      STATE VARIABLES
     // ────────────────────────────────────────────────────────────
 
+    /// @notice May pause the protocol immediately in an emergency.
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    /// @notice May unpause and change protocol parameters; held by the timelock.
+    bytes32 public constant PARAMETER_ADMIN_ROLE = keccak256("PARAMETER_ADMIN_ROLE");
+    /// @notice May report revenue and sign borrower revenue attestations.
+    bytes32 public constant REPORTER_ROLE = keccak256("REPORTER_ROLE");
+    /// @notice May withdraw collected protocol fees.
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
+    /// @notice Time a borrower has to pay an obligation after the revenue report that created it.
+    uint256 public constant REVENUE_PAYMENT_WINDOW = 7 days;
+
     mapping(uint256 => Loan) public loans;
     uint256 public nextLoanId = 1;
 
+    /// @notice Installment schedule of each loan (period 0 when the loan has none).
+    mapping(uint256 => PaymentSchedule) public schedules;
+
+    /// @notice Grace window and late-fee rate of each loan (period 0 when the loan has none).
+    mapping(uint256 => GracePolicy) public gracePolicies;
+
+    /// @notice Late fees charged on each loan during its grace window.
+    mapping(uint256 => LateFees) public lateFees;
+
+    /// @notice Address allowed to repay each loan besides the borrower, e.g. its {RevenueSplitter}.
+    mapping(uint256 => address) public repaymentAgent;
+
+    /// @notice Upper bound on the late-fee rate a borrower may agree to (1% per day).
+    uint256 public constant MAX_LATE_FEE_BPS_PER_DAY = 100;
+
+    /// @notice Hard caps on the protocol fee rates the parameter admin may set.
+    uint256 public constant MAX_ORIGINATION_FEE_BPS = 500;   // 5% of principal
+    uint256 public constant MAX_SERVICING_FEE_BPS   = 1_000; // 10% of each repayment
+
+    /// @notice Fee rates applied to loans created from now on.
+    FeeRates public feeRates;
+
+    /// @notice Fee rates each loan was created under (loanId => rates).
+    mapping(uint256 => FeeRates) public loanFeeRates;
+
+    /// @notice Protocol fees collected and not yet withdrawn by the treasury (asset => amount).
+    mapping(address => uint256) public protocolFees;
+
+    /// @notice Per-borrower repayment record, updated as their loans are funded and closed.
+    mapping(address => CreditHistory) public creditHistories;
+
+    /// @notice Principal a borrower has taken in each asset (borrower => asset => amount).
+    mapping(address => mapping(address => uint256)) public borrowedVolume;
+
+    /// @notice Standing lender offers by ID.
+    mapping(uint256 => LoanOffer) public offers;
+    uint256 public nextOfferId = 1;
+
+    /// @notice Seconds the protocol has spent paused, over all completed pauses.
+    uint256 public totalPausedTime;
+
+    /// @dev Start of the current pause.
+    uint256 private pausedAt;
+
+    /// @dev {totalPausedTime} when each loan was funded; earlier pauses do not extend it.
+    mapping(uint256 => uint256) private pausedTimeAtFunding;
+
+    /// @notice Pending amendment of each loan (duration 0 when none is pending).
+    mapping(uint256 => Amendment) public amendments;
+
+    /// @notice Number of amendments proposed per loan; the latest one is the pending one.
+    mapping(uint256 => uint256) public amendmentCount;
+
+    /// @dev Accounts that accepted each amendment (loanId => amendmentId => account => accepted).
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) private amendmentAccepted;
+
+    /// @notice Number of revenue reports accepted per loan; doubles as the attestation nonce.
+    mapping(uint256 => uint256) public revenueReportCount;
+
+    /// @notice ERC-20 tokens loans may be denominated in. Native CTC is always allowed.
+    mapping(address => bool) public isAllowedAsset;
+
+    /// @notice Upper bound on contributors per loan, keeping pro-rata payouts within gas limits.
+    uint256 public constant MAX_LENDERS_PER_LOAN = 20;
+
+    /// @notice Amount each lender has committed to a loan (loanId => lender => amount).
+    mapping(uint256 => mapping(address => uint256)) public commitments;
+
+    /// @notice Gas forwarded to a recipient on a native push payout before falling back to the ledger.
+    uint256 public constant PUSH_GAS_LIMIT = 30_000;
+
+    /// @notice Payouts that could not be pushed, claimable via {withdraw} (account => asset => amount).
+    mapping(address => mapping(address => uint256)) public withdrawable;
+
+    /// @notice ERC-721 minted to each lender when a loan is funded; holders receive payouts.
+    LoanNote public immutable loanNote;
+
+    /// @notice Loan a note belongs to (noteId => loanId).
+    mapping(uint256 => uint256) public noteLoanId;
+
+    /// @notice Principal share a note represents (noteId => amount).
+    mapping(uint256 => uint256) public notePrincipal;
+
+    mapping(uint256 => uint256[]) private loanNoteIds;
+    mapping(uint256 => address[]) private loanLenders;
+    mapping(uint256 => mapping(address => uint256)) private lenderSlot; // index + 1 in loanLenders
+
+    // Indexes backing the paginated enumeration views
+    mapping(address => EnumerableSet.UintSet) private borrowerLoans;
+    mapping(address => EnumerableSet.UintSet) private lenderLoans;
+    EnumerableSet.UintSet private openLoans;
+    EnumerableSet.UintSet private activeLoans;
+
     // ────────────────────────────────────────────────────────────
     //                          EVENTS
     // ────────────────────────────────────────────────────────────
@@ -73,13 +277,65 @@ contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
         uint256 revenueSharePercent,
         uint256 repaymentCapPercent,
         uint256 duration,
-        uint256 collateralAmount
+        uint256 collateralAmount,
+        uint256 fundingDeadline,
+        address asset
+    );
+    event PaymentScheduleSet(
+        uint256 indexed loanId,
+        uint256 period,
+        uint256 installmentAmount,
+        uint256 installmentPercent,
+        uint256 missedPeriodsToDefault
     );
     event LoanFunded(uint256 indexed loanId, address indexed lender);
+    event FundingCommitted(uint256 indexed loanId, address indexed lender, uint256 amount);
+    event CommitmentWithdrawn(uint256 indexed loanId, address indexed lender, uint256 amount);
+    event LoanNoteMinted(uint256 indexed loanId, uint256 indexed noteId, address indexed holder, uint256 amount);
     event LoanRepaid(uint256 indexed loanId, uint256 amount);
     event LoanClosed(uint256 indexed loanId);
     event CollateralClaimed(uint256 indexed loanId, address indexed claimer);
+    event GracePolicySet(uint256 indexed loanId, uint256 period, uint256 lateFeeBpsPerDay);
+    event LateFeePaid(uint256 indexed loanId, uint256 amount);
+    event RepaymentAgentSet(uint256 indexed loanId, address indexed agent);
     event LoanDefaulted(uint256 indexed loanId);
+    event FeeRatesUpdated(uint256 originationBps, uint256 servicingBps);
+    event ProtocolFeeCharged(uint256 indexed loanId, address indexed asset, uint256 amount);
+    event ProtocolFeesWithdrawn(address indexed treasury, address indexed asset, uint256 amount);
+    event OfferPosted(
+        uint256 indexed offerId,
+        address indexed lender,
+        address asset,
+        uint256 liquidity,
+        uint256 maxPrincipal,
+        uint256 minRepaymentCapPercent,
+        uint256 maxDuration,
+        uint256 minCollateralRatioBps
+    );
+    event OfferLiquidityWithdrawn(uint256 indexed offerId, uint256 amount);
+    event OfferTaken(uint256 indexed offerId, uint256 indexed loanId, address indexed borrower, uint256 principal);
+    event AmendmentProposed(
+        uint256 indexed loanId,
+        uint256 indexed amendmentId,
+        address indexed proposer,
+        uint256 duration,
+        uint256 repaymentCapPercent,
+        PaymentSchedule schedule
+    );
+    event AmendmentAccepted(uint256 indexed loanId, uint256 indexed amendmentId, address indexed account);
+    event LoanAmended(uint256 indexed loanId, uint256 indexed amendmentId, uint256 duration, uint256 repaymentCapPercent);
+    event LoanCancelled(uint256 indexed loanId, uint256 collateralReturned);
+    event LoanExpired(uint256 indexed loanId, uint256 collateralReturned);
+    event AllowedAssetUpdated(address indexed asset, bool allowed);
+    event Withdrawable(address indexed account, address indexed asset, uint256 amount);
+    event Withdrawn(address indexed account, address indexed asset, uint256 amount);
+    event RevenueReported(
+        uint256 indexed loanId,
+        address indexed reporter,
+        uint256 revenue,
+        uint256 amountOwed,
+        uint256 obligationDueTime
+    );
 
     // ────────────────────────────────────────────────────────────
     //                        MODIFIERS
@@ -91,7 +347,7 @@ contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
     }
 
     modifier onlyLender(uint256 _loanId) {
-        if (loans[_loanId].lender != msg.sender) revert NotLender();
+        if (!_holdsNote(_loanId, msg.sender)) revert NotLender();
         _;
     }
 
@@ -114,89 +370,151 @@ contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
     //                       CONSTRUCTOR
     // ────────────────────────────────────────────────────────────
 
-    constructor() Ownable(msg.sender) {}
+    /**
+     * @dev The timelock becomes the role admin and sole parameter admin, so role grants,
+     *      unpausing and parameter changes all wait out its delay. The deployer keeps the
+     *      pauser and treasury roles.
+     * @param _timelock Timelock (e.g. {ProtocolTimelock}) that governs the protocol.
+     */
+    constructor(address _timelock) {
+        if (_timelock == address(0)) revert InvalidTimelock();
+
+        loanNote = new LoanNote();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _timelock);
+        _grantRole(PARAMETER_ADMIN_ROLE, _timelock);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+    }
 
     // ────────────────────────────────────────────────────────────
     //                     ADMIN FUNCTIONS
     // ────────────────────────────────────────────────────────────
 
     /**
-     * @notice Pauses all state-changing protocol operations.
-     * @dev Only callable by the contract owner. Emits {Paused}.
+     * @notice Pauses new risk: loan requests, funding, offers and revenue reports.
+     * @dev Only callable by a pauser, without delay. Repayments, cancellations, refunds,
+     *      collateral claims and withdrawals stay open, and every loan clock stops until
+     *      {unpause}, so a pause cannot push a loan into default. Emits {Paused}.
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
+        pausedAt = block.timestamp;
         _pause();
     }
 
     /**
      * @notice Unpauses the protocol, resuming normal operations.
-     * @dev Only callable by the contract owner. Emits {Unpaused}.
+     * @dev Only callable by the parameter admin, i.e. through the timelock. Emits {Unpaused}.
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PARAMETER_ADMIN_ROLE) {
+        totalPausedTime += block.timestamp - pausedAt;
         _unpause();
     }
 
+    /**
+     * @notice Adds or removes an ERC-20 token from the set of loan assets.
+     * @dev Only callable by the parameter admin. Removing a token only blocks new loans;
+     *      existing loans in that token keep working. Emits {AllowedAssetUpdated}.
+     * @param _asset   ERC-20 token address (e.g. a USD stablecoin).
+     * @param _allowed Whether new loans may be denominated in the token.
+     */
+    function setAllowedAsset(address _asset, bool _allowed) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        if (_asset == address(0)) revert AssetNotAllowed();
+        isAllowedAsset[_asset] = _allowed;
+        emit AllowedAssetUpdated(_asset, _allowed);
+    }
+
+    /**
+     * @notice Sets the protocol fee rates for loans created from now on.
+     * @dev Only callable by the parameter admin. Existing loans keep the rates they were
+     *      created under. Emits {FeeRatesUpdated}.
+     * @param _originationBps Fee on the principal at funding, in basis points
+     *                        (at most {MAX_ORIGINATION_FEE_BPS}).
+     * @param _servicingBps   Fee on each repayment, in basis points (at most {MAX_SERVICING_FEE_BPS}).
+     */
+    function setFeeRates(uint256 _originationBps, uint256 _servicingBps)
+        external
+        onlyRole(PARAMETER_ADMIN_ROLE)
+    {
+        if (_originationBps > MAX_ORIGINATION_FEE_BPS) revert FeeTooHigh();
+        if (_servicingBps > MAX_SERVICING_FEE_BPS)     revert FeeTooHigh();
+        feeRates = FeeRates(_originationBps, _servicingBps);
+        emit FeeRatesUpdated(_originationBps, _servicingBps);
+    }
+
     // ────────────────────────────────────────────────────────────
     //                     CORE FUNCTIONS
     // ────────────────────────────────────────────────────────────
 
     /**
      * @notice Borrower creates a revenue-based loan request with optional collateral.
-     * @dev Collateral is supplied as `msg.value` and must not exceed the requested principal.
-     *      The loan is created in an unfunded, inactive state awaiting a lender.
-     *      `revenueSharePercent` is stored for future oracle-based revenue enforcement;
-     *      current model enforces repayment via cap percentage only.
-     * @param _amount               Principal amount requested, in wei.
+     * @dev Principal, repayments and collateral are all denominated in `_asset`. For native
+     *      loans the collateral is supplied as `msg.value`; for token loans it is pulled with
+     *      `transferFrom` and `msg.value` must be zero. Collateral must not exceed the
+     *      requested principal. The loan is created in an unfunded, inactive state awaiting
+     *      a lender, and locks in the protocol fee rates in effect at creation.
+     * @param _amount               Principal amount requested, in wei or token units.
      * @param _revenueSharePercent  Percentage of revenue to share (must be > 0).
      * @param _repaymentCapPercent  Max repayment as a percentage of principal (must be >= 100).
      * @param _duration             Loan duration in seconds, starting from the moment of funding.
+     * @param _fundingDeadline      Timestamp after which the request can no longer be funded.
+     * @param _asset                Allowlisted ERC-20 token, or address(0) for native CTC.
+     * @param _collateralAmount     Collateral to post, in the loan asset (may be 0).
+     * @param _schedule             Optional installment schedule; pass a zero `period` for none.
+     *                              Otherwise set exactly one of `installmentAmount` or
+     *                              `installmentPercent`, and a non-zero `missedPeriodsToDefault`.
+     * @param _gracePolicy          Optional grace window after maturity; pass a zero `period`
+     *                              (and fee) for none. The fee may not exceed
+     *                              {MAX_LATE_FEE_BPS_PER_DAY}.
      */
     function createLoan(
         uint256 _amount,
         uint256 _revenueSharePercent,
         uint256 _repaymentCapPercent,
-        uint256 _duration
-    ) external payable whenNotPaused {
-        if (_amount == 0)               revert InvalidPrincipal();
-        if (_revenueSharePercent == 0)  revert InvalidRevenueShare();
-        if (_repaymentCapPercent < 100) revert InvalidRepaymentCap();
-        if (_duration == 0)             revert InvalidDuration();
-        if (msg.value > _amount)        revert CollateralTooHigh();
-
-        uint256 loanId = nextLoanId++;
-        loans[loanId] = Loan({
-            borrower:            msg.sender,
-            lender:              address(0),
-            principal:           _amount,
-            revenueSharePercent: _revenueSharePercent,
-            repaymentCapPercent: _repaymentCapPercent,
-            totalRepaid:         0,
-            funded:              false,
-            active:              false,
-            collateralAmount:    msg.value,
-            startTime:           0,
-            duration:            _duration
-        });
+        uint256 _duration,
+        uint256 _fundingDeadline,
+        address _asset,
+        uint256 _collateralAmount,
+        PaymentSchedule calldata _schedule,
+        GracePolicy calldata _gracePolicy
+    ) external payable nonReentrant whenNotPaused {
+        if (_fundingDeadline <= block.timestamp)                  revert InvalidFundingDeadline();
+        if (msg.value != _nativeValue(_asset, _collateralAmount)) revert IncorrectCollateralAmount();
 
-        emit LoanCreated(
-            loanId,
+        _createLoan(
             msg.sender,
             _amount,
             _revenueSharePercent,
             _repaymentCapPercent,
             _duration,
-            msg.value
+            _fundingDeadline,
+            _asset,
+            _collateralAmount,
+            _schedule,
+            _gracePolicy
         );
+
+        _collect(_asset, msg.sender, _collateralAmount);
     }
 
     /**
-     * @notice Lender funds an open loan by sending the exact principal amount.
-     * @dev Transfers the full principal to the borrower atomically upon funding.
+     * @notice Lender commits part or all of the remaining principal of an open loan.
+     * @dev Commitments are held in the contract until the principal is filled; the
+     *      commitment that fills it activates the loan and disburses the principal, less
+     *      the loan's origination fee, to the borrower. Native loans take the commitment as
+     *      `msg.value`; token loans pull it from the lender, who must have approved this
+     *      contract beforehand.
+     *      The first contributor becomes the loan's lead `lender`, and every contributor
+     *      receives a {LoanNote} for their share when the loan activates.
+     *      A lender's first commitment must be at least `principal / MAX_LENDERS_PER_LOAN`
+     *      (or whatever is left, if less); the lender taking the last free slot must fill
+     *      the principal. Top-ups of an existing commitment may be any size.
      *      The caller may not be the borrower of the same loan.
      *      Applies checks-effects-interactions to prevent reentrancy.
      * @param _loanId ID of the loan to fund.
+     * @param _amount Amount to commit, at most the principal still unfilled.
      */
-    function fundLoan(uint256 _loanId)
+    function fundLoan(uint256 _loanId, uint256 _amount)
         external
         payable
         nonReentrant
@@ -205,92 +523,294 @@ contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
     {
         Loan storage loan = loans[_loanId];
 
-        if (loan.funded)                 revert LoanAlreadyFunded();
-        if (loan.active)                 revert LoanAlreadyActive();
-        if (msg.sender == loan.borrower) revert BorrowerCannotFundOwnLoan();
-        if (msg.value != loan.principal) revert IncorrectFundingAmount();
+        if (loan.funded)                            revert LoanAlreadyFunded();
+        if (loan.active)                            revert LoanAlreadyActive();
+        if (loan.cancelled)                         revert LoanAlreadyCancelled();
+        if (block.timestamp > loan.fundingDeadline) revert LoanRequestExpired();
+        if (msg.sender == loan.borrower)            revert BorrowerCannotFundOwnLoan();
+
+        // Cache loan terms before state mutation
+        address borrower  = loan.borrower;
+        address asset     = loan.asset;
+        uint256 principal = loan.principal;
 
-        // Cache borrower address before state mutation
-        address borrower = loan.borrower;
+        if (_amount == 0 || msg.value != _nativeValue(asset, _amount)) revert IncorrectFundingAmount();
+
+        uint256 committed = loan.totalCommitted + _amount;
+        if (committed > principal) revert CommitmentExceedsRemaining();
 
         // Effects
-        loan.lender    = msg.sender;
-        loan.funded    = true;
-        loan.active    = true;
-        loan.startTime = block.timestamp;
+        address[] storage lenders = loanLenders[_loanId];
+        if (lenderSlot[_loanId][msg.sender] == 0) {
+            if (lenders.length == MAX_LENDERS_PER_LOAN) revert TooManyLenders();
+            // A new slot must carry its share of the principal, and the last one the rest,
+            // so dust commitments cannot use up the lender slots
+            uint256 remaining = principal - loan.totalCommitted;
+            uint256 minimum   = principal / MAX_LENDERS_PER_LOAN;
+            if (lenders.length == MAX_LENDERS_PER_LOAN - 1 || minimum > remaining) minimum = remaining;
+            if (_amount < minimum) revert CommitmentTooSmall();
+            lenders.push(msg.sender);
+            lenderSlot[_loanId][msg.sender] = lenders.length;
+        }
+        commitments[_loanId][msg.sender] += _amount;
+        loan.totalCommitted = committed;
+
+        emit FundingCommitted(_loanId, msg.sender, _amount);
+
+        bool filled = committed == principal;
+        uint256 disbursement;
+        if (filled) disbursement = _activate(_loanId);
+
+        // Interactions
+        _collect(asset, msg.sender, _amount);
+        if (filled) _send(asset, borrower, disbursement);
+    }
+
+    /**
+     * @notice Lender withdraws their commitment from a loan that has not been filled yet.
+     * @dev Remains available after the request is cancelled or expires, and while paused,
+     *      so commitments can never be stranded. Applies checks-effects-interactions.
+     * @param _loanId ID of the unfilled loan.
+     */
+    function withdrawCommitment(uint256 _loanId)
+        external
+        nonReentrant
+        loanExists(_loanId)
+    {
+        Loan storage loan = loans[_loanId];
+        if (loan.funded) revert LoanAlreadyFunded();
+
+        uint256 amount = commitments[_loanId][msg.sender];
+        if (amount == 0) revert NoCommitment();
+
+        // Effects — swap-and-pop the lender out of the contributor list
+        address[] storage lenders = loanLenders[_loanId];
+        uint256 slot = lenderSlot[_loanId][msg.sender];
+        address moved = lenders[lenders.length - 1];
+        lenders[slot - 1] = moved;
+        lenderSlot[_loanId][moved] = slot;
+        lenders.pop();
+        delete lenderSlot[_loanId][msg.sender];
+
+        commitments[_loanId][msg.sender] = 0;
+        loan.totalCommitted -= amount;
+
+        emit CommitmentWithdrawn(_loanId, msg.sender, amount);
+
+        // Interaction
+        _send(loan.asset, msg.sender, amount);
+    }
+
+    /**
+     * @notice Borrower withdraws an unfunded loan request and recovers the posted collateral.
+     * @dev Only possible while no lender has funded the loan. A cancelled request can no
+     *      longer be funded. Not blocked by pause.
+     *      Applies checks-effects-interactions to prevent reentrancy.
+     * @param _loanId ID of the loan request to cancel.
+     */
+    function cancelLoan(uint256 _loanId)
+        external
+        nonReentrant
+        loanExists(_loanId)
+        onlyBorrower(_loanId)
+    {
+        Loan storage loan = loans[_loanId];
+
+        if (loan.funded)    revert LoanAlreadyFunded();
+        if (loan.cancelled) revert LoanAlreadyCancelled();
+
+        uint256 collateral = loan.collateralAmount;
+
+        // Effects
+        loan.cancelled        = true;
+        loan.collateralAmount = 0;
+        openLoans.remove(_loanId);
+
+        emit LoanCancelled(_loanId, collateral);
+
+        // Interaction
+        _send(loan.asset, msg.sender, collateral);
+    }
 
-        emit LoanFunded(_loanId, msg.sender);
+    /**
+     * @notice Returns the collateral of an unfunded request whose funding deadline has passed.
+     * @dev Callable by anyone; the collateral always goes to the borrower. The request is
+     *      marked cancelled so it cannot be refunded twice.
+     *      Applies checks-effects-interactions to prevent reentrancy.
+     * @param _loanId ID of the expired loan request.
+     */
+    function refundExpiredLoan(uint256 _loanId)
+        external
+        nonReentrant
+        loanExists(_loanId)
+    {
+        Loan storage loan = loans[_loanId];
+
+        if (loan.funded)                             revert LoanAlreadyFunded();
+        if (loan.cancelled)                          revert LoanAlreadyCancelled();
+        if (block.timestamp <= loan.fundingDeadline) revert LoanRequestNotExpired();
+
+        address borrower   = loan.borrower;
+        uint256 collateral = loan.collateralAmount;
+
+        // Effects
+        loan.cancelled        = true;
+        loan.collateralAmount = 0;
+        openLoans.remove(_loanId);
+
+        emit LoanExpired(_loanId, collateral);
 
         // Interaction
-        (bool success, ) = borrower.call{value: msg.value}("");
-        if (!success) revert TransferFailed();
+        _send(loan.asset, borrower, collateral);
     }
 
     /**
-     * @notice Borrower repays part or all of the outstanding loan obligation.
-     * @dev Repayment is forwarded directly to the lender. When cumulative repayment reaches
-     *      or exceeds the cap, the loan is closed and any posted collateral is returned to
-     *      the borrower. Applies checks-effects-interactions to prevent reentrancy.
+     * @notice Borrower, or their repayment agent, repays part or all of the outstanding
+     *         loan obligation.
+     * @dev Repayment is forwarded directly to the note holders, split pro-rata by position,
+     *      after the loan's servicing fee is skimmed for the protocol. Payment is taken from
+     *      the caller, while refunds and collateral always go to the borrower.
+     *      Only the amount still owed is applied, first towards the cap and then towards any
+     *      late fees: native overpayment is refunded to the borrower and token loans only pull
+     *      the applied amount. When the cap and late fees are paid the loan is closed and any
+     *      posted collateral is returned to the borrower. Native loans must attach exactly
+     *      `_amount` as `msg.value`.
+     *      Not blocked by pause. Emits {LoanRepaid} with the applied amount, and
+     *      {LateFeePaid} for its fee part.
+     *      Applies checks-effects-interactions to prevent reentrancy.
      * @param _loanId ID of the loan to repay.
+     * @param _amount Amount offered, in the loan asset; any excess over the obligation is not kept.
      */
-    function repay(uint256 _loanId)
+    function repay(uint256 _loanId, uint256 _amount)
         external
         payable
         nonReentrant
-        whenNotPaused
         loanExists(_loanId)
-        onlyBorrower(_loanId)
         loanFunded(_loanId)
         loanActive(_loanId)
     {
-        if (msg.value == 0) revert RepaymentMustBePositive();
-
         Loan storage loan = loans[_loanId];
 
         // Cache frequently read storage values to avoid repeated SLOADs
         uint256 principal           = loan.principal;
         uint256 repaymentCapPercent = loan.repaymentCapPercent;
-        address lender              = loan.lender;
         address borrower            = loan.borrower;
+        address asset               = loan.asset;
 
-        uint256 requiredRepayment = (principal * repaymentCapPercent) / 100;
+        if (msg.sender != borrower && msg.sender != repaymentAgent[_loanId]) revert NotBorrower();
+        if (_amount == 0) revert RepaymentMustBePositive();
 
-        // Effects — update state before external calls
-        uint256 newTotalRepaid = loan.totalRepaid + msg.value;
-        loan.totalRepaid = newTotalRepaid;
+        if (msg.value != _nativeValue(asset, _amount)) revert IncorrectRepaymentAmount();
 
-        emit LoanRepaid(_loanId, msg.value);
+        // Lock in late fees on the cap still unpaid before this payment reduces it
+        LateFees storage fees = _accrueLateFees(_loanId);
 
-        // Interaction: forward repayment to lender
-        (bool lenderSuccess, ) = lender.call{value: msg.value}("");
-        if (!lenderSuccess) revert TransferFailed();
+        // Only the outstanding obligation is applied; anything above it is refunded
+        uint256 totalRepaid  = loan.totalRepaid;
+        uint256 capRemaining = (principal * repaymentCapPercent) / 100 - totalRepaid;
+        uint256 feeRemaining = fees.accrued - fees.paid;
+        uint256 remaining    = capRemaining + feeRemaining;
+        uint256 applied      = _amount > remaining ? remaining : _amount;
+        uint256 toCap        = applied > capRemaining ? capRemaining : applied;
+        bool closing         = applied == remaining;
 
-        // Close loan if repayment cap has been reached
-        if (newTotalRepaid >= requiredRepayment) {
-            loan.active = false;
+        // Effects — update state before external calls
+        loan.totalRepaid = totalRepaid + toCap;
+        if (applied > toCap) fees.paid += applied - toCap;
 
-            uint256 collateral = loan.collateralAmount;
-            if (collateral > 0) {
-                loan.collateralAmount = 0;
-                (bool collateralSuccess, ) = borrower.call{value: collateral}("");
-                if (!collateralSuccess) revert TransferFailed();
-            }
+        uint256 collateral;
+        if (closing) {
+            loan.active = false;
+            collateral  = loan.collateralAmount;
+            loan.collateralAmount = 0;
+            activeLoans.remove(_loanId);
 
-            emit LoanClosed(_loanId);
+            CreditHistory storage history = creditHistories[borrower];
+            history.loansRepaid        += 1;
+            history.totalRepaymentTime += loanClock(_loanId) - loan.startTime;
         }
+
+        emit LoanRepaid(_loanId, applied);
+        if (applied > toCap) emit LateFeePaid(_loanId, applied - toCap);
+        if (closing) emit LoanClosed(_loanId);
+
+        uint256 fee = _chargeFee(_loanId, asset, applied, loanFeeRates[_loanId].servicingBps);
+
+        // Interactions: forward repayment to lenders, return any excess and collateral
+        _collect(asset, msg.sender, applied);
+        _distribute(_loanId, asset, applied - fee);
+        if (asset == address(0)) _send(asset, borrower, _amount - applied);
+        _send(asset, borrower, collateral);
+    }
+
+    /**
+     * @notice Borrower lets another address repay the loan on their behalf, such as the
+     *         loan's {RevenueSplitter}.
+     * @dev Replaces any previous agent; pass address(0) to revoke. Emits {RepaymentAgentSet}.
+     * @param _loanId ID of the loan.
+     * @param _agent  Address allowed to call {repay} for the loan.
+     */
+    function setRepaymentAgent(uint256 _loanId, address _agent)
+        external
+        loanExists(_loanId)
+        onlyBorrower(_loanId)
+    {
+        repaymentAgent[_loanId] = _agent;
+        emit RepaymentAgentSet(_loanId, _agent);
+    }
+
+    /**
+     * @notice Returns how much the borrower still has to pay to reach the repayment cap,
+     *         including any late fees accrued so far.
+     * @dev Zero once the loan is closed by repayment. Frontends can use it to pre-fill a
+     *      "repay in full" amount.
+     * @param _loanId ID of the loan to query.
+     * @return Outstanding amount in the loan asset.
+     */
+    function remainingObligation(uint256 _loanId) public view loanExists(_loanId) returns (uint256) {
+        Loan storage loan = loans[_loanId];
+        uint256 requiredRepayment = (loan.principal * loan.repaymentCapPercent) / 100;
+        uint256 capRemaining = requiredRepayment > loan.totalRepaid ? requiredRepayment - loan.totalRepaid : 0;
+        return capRemaining + lateFeesOwed(_loanId);
+    }
+
+    /**
+     * @notice Whether an active loan is in default, i.e. its collateral can be claimed
+     *         (see {claimCollateral} for when a loan defaults).
+     * @param _loanId ID of the loan to query.
+     */
+    function isInDefault(uint256 _loanId) public view loanExists(_loanId) returns (bool) {
+        Loan storage loan = loans[_loanId];
+        if (!loan.active) return false;
+
+        // Cache storage reads to avoid repeated SLOADs
+        uint256 maturity = loan.startTime + loan.duration;
+        uint256 clock    = loanClock(_loanId);
+
+        if (clock > maturity) return clock > maturity + gracePolicies[_loanId].period;
+
+        bool obligationOverdue  = loan.totalRepaid < loan.totalOwed && clock > loan.obligationDueTime;
+        uint256 missedToDefault = schedules[_loanId].missedPeriodsToDefault;
+        return obligationOverdue || (missedToDefault != 0 && _missedPeriods(_loanId) >= missedToDefault);
     }
 
     /**
-     * @notice Lender claims posted collateral after loan maturity in the event of a default.
-     * @dev Can only be invoked after the loan duration has elapsed and the borrower has not
-     *      reached the repayment cap. Emits {LoanDefaulted} before {LoanClosed}.
+     * @notice Any note holder of the loan claims posted collateral in the event of a default.
+     * @dev A loan is in default once its grace window after maturity has passed without the
+     *      repayment cap and late fees being paid. Before maturity it defaults early if a
+     *      reported revenue obligation is still unpaid after its `obligationDueTime`, or once
+     *      it has missed `missedPeriodsToDefault` installments.
+     *      Only collateral covering the remaining obligation is seized and shared among all
+     *      note holders pro-rata by position; any surplus is returned to the borrower.
+     *      All deadlines are read on the loan clock, so a default reached before a pause can
+     *      still be claimed during it but no new one arises. Not blocked by pause.
+     *      Emits {LoanDefaulted} before {LoanClosed}.
      *      Applies checks-effects-interactions to prevent reentrancy.
      * @param _loanId ID of the defaulted loan.
      */
     function claimCollateral(uint256 _loanId)
         external
         nonReentrant
-        whenNotPaused
         loanExists(_loanId)
         onlyLender(_loanId)
         loanFunded(_loanId)
@@ -298,52 +818,1071 @@ contract RevenueLoan is ReentrancyGuard, Ownable, Pausable {
     {
         Loan storage loan = loans[_loanId];
 
-        // Cache storage reads to avoid repeated SLOADs
-        uint256 startTime           = loan.startTime;
-        uint256 duration            = loan.duration;
-        uint256 principal           = loan.principal;
-        uint256 repaymentCapPercent = loan.repaymentCapPercent;
-        uint256 totalRepaid         = loan.totalRepaid;
-        address lender              = loan.lender;
-
-        if (block.timestamp <= startTime + duration) revert LoanNotMatured();
+        if (!isInDefault(_loanId)) {
+            if (loanClock(_loanId) > loan.startTime + loan.duration) revert GracePeriodActive();
+            revert LoanNotMatured();
+        }
 
-        uint256 requiredRepayment = (principal * repaymentCapPercent) / 100;
-        if (totalRepaid >= requiredRepayment) revert LoanFullyRepaid();
+        uint256 owed = remainingObligation(_loanId);
+        if (owed == 0) revert LoanFullyRepaid();
 
         uint256 collateral = loan.collateralAmount;
         if (collateral == 0) revert NoCollateral();
 
+        uint256 seized = collateral > owed ? owed : collateral;
+
         // Effects — zero out state before interaction
         loan.active           = false;
         loan.collateralAmount = 0;
+        activeLoans.remove(_loanId);
+        creditHistories[loan.borrower].defaults += 1;
 
         // LoanDefaulted must emit BEFORE LoanClosed
         emit LoanDefaulted(_loanId);
         emit CollateralClaimed(_loanId, msg.sender);
         emit LoanClosed(_loanId);
 
+        // Interactions: seize what is owed, return any surplus to the borrower
+        _distribute(_loanId, loan.asset, seized);
+        _send(loan.asset, loan.borrower, collateral - seized);
+    }
+
+    /**
+     * @notice Withdraws payouts credited to the caller after a push transfer failed.
+     * @dev Unlike push payouts, a failed transfer here reverts so the balance is kept.
+     *      Not blocked by pause, so funds can always leave the protocol.
+     * @param _asset Asset to withdraw (address(0) for native CTC).
+     */
+    function withdraw(address _asset) external nonReentrant {
+        uint256 amount = withdrawable[msg.sender][_asset];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // Effects
+        withdrawable[msg.sender][_asset] = 0;
+
+        emit Withdrawn(msg.sender, _asset, amount);
+
         // Interaction
-        (bool success, ) = lender.call{value: collateral}("");
-        if (!success) revert TransferFailed();
+        _transferOut(_asset, msg.sender, amount);
     }
 
     // ────────────────────────────────────────────────────────────
-    //                      VIEW FUNCTIONS
+    //                      PROTOCOL FEES
     // ────────────────────────────────────────────────────────────
 
     /**
-     * @notice Returns the full on-chain state of a loan by its ID.
-     * @dev Reverts with {LoanDoesNotExist} if the ID is out of range.
-     * @param _loanId ID of the loan to query.
-     * @return A `Loan` memory struct containing all loan parameters and current state.
+     * @notice Sends collected protocol fees in an asset to the calling treasury.
+     * @dev Only callable by a holder of {TREASURY_ROLE}. Not blocked by pause.
+     *      Emits {ProtocolFeesWithdrawn}.
+     * @param _asset Asset to withdraw (address(0) for native CTC).
      */
-    function getLoan(uint256 _loanId)
-        external
-        view
-        loanExists(_loanId)
-        returns (Loan memory)
+    function withdrawProtocolFees(address _asset) external nonReentrant {
+        if (!hasRole(TREASURY_ROLE, msg.sender)) revert NotTreasury();
+
+        uint256 amount = protocolFees[_asset];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // Effects
+        protocolFees[_asset] = 0;
+
+        emit ProtocolFeesWithdrawn(msg.sender, _asset, amount);
+
+        // Interaction
+        _transferOut(_asset, msg.sender, amount);
+    }
+
+    /**
+     * @dev Books `_bps` of `_amount` as protocol fees and returns the fee.
+     */
+    function _chargeFee(uint256 _loanId, address _asset, uint256 _amount, uint256 _bps)
+        private
+        returns (uint256 fee)
     {
-        return loans[_loanId];
+        fee = (_amount * _bps) / 10_000;
+        if (fee == 0) return 0;
+
+        protocolFees[_asset] += fee;
+        emit ProtocolFeeCharged(_loanId, _asset, fee);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                       LOAN OFFERS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Lender posts a standing offer backed by escrowed liquidity.
+     * @dev Native offers take the liquidity as `msg.value`; token offers pull it from the
+     *      lender. Borrowers whose terms fall within the offer's limits can draw loans from
+     *      it with {takeOffer} until the liquidity runs out. Emits {OfferPosted}.
+     * @param _asset                  Allowlisted ERC-20 token, or address(0) for native CTC.
+     * @param _liquidity              Amount to escrow for loans drawn from the offer.
+     * @param _maxPrincipal           Largest principal a single loan may draw.
+     * @param _minRepaymentCapPercent Lowest repayment cap accepted (must be >= 100).
+     * @param _maxDuration            Longest loan duration accepted, in seconds.
+     * @param _minCollateralRatioBps  Lowest collateral-to-principal ratio accepted, in bps (at most 100%).
+     * @return offerId ID of the new offer.
+     */
+    function postOffer(
+        address _asset,
+        uint256 _liquidity,
+        uint256 _maxPrincipal,
+        uint256 _minRepaymentCapPercent,
+        uint256 _maxDuration,
+        uint256 _minCollateralRatioBps
+    ) external payable nonReentrant whenNotPaused returns (uint256 offerId) {
+        if (_asset != address(0) && !isAllowedAsset[_asset]) revert AssetNotAllowed();
+        if (_liquidity == 0 || msg.value != _nativeValue(_asset, _liquidity)) {
+            revert IncorrectFundingAmount();
+        }
+        if (_maxPrincipal == 0)                              revert InvalidOffer();
+        if (_minRepaymentCapPercent < 100)                   revert InvalidOffer();
+        if (_maxDuration == 0)                               revert InvalidOffer();
+        if (_minCollateralRatioBps > 10_000)                 revert InvalidOffer();
+
+        offerId = nextOfferId++;
+        offers[offerId] = LoanOffer({
+            lender:                 msg.sender,
+            asset:                  _asset,
+            liquidity:              _liquidity,
+            maxPrincipal:           _maxPrincipal,
+            minRepaymentCapPercent: _minRepaymentCapPercent,
+            maxDuration:            _maxDuration,
+            minCollateralRatioBps:  _minCollateralRatioBps
+        });
+
+        emit OfferPosted(
+            offerId,
+            msg.sender,
+            _asset,
+            _liquidity,
+            _maxPrincipal,
+            _minRepaymentCapPercent,
+            _maxDuration,
+            _minCollateralRatioBps
+        );
+
+        _collect(_asset, msg.sender, _liquidity);
+    }
+
+    /**
+     * @notice Lender withdraws liquidity not yet drawn from their offer.
+     * @dev Not blocked by pause, so escrowed liquidity can always be recovered.
+     *      Emits {OfferLiquidityWithdrawn}.
+     * @param _offerId ID of the offer.
+     * @param _amount  Amount to withdraw, at most the offer's remaining liquidity.
+     */
+    function withdrawOfferLiquidity(uint256 _offerId, uint256 _amount) external nonReentrant {
+        LoanOffer storage offer = offers[_offerId];
+        if (offer.lender != msg.sender)                revert NotOfferLender();
+        if (_amount == 0 || _amount > offer.liquidity) revert InsufficientOfferLiquidity();
+
+        // Effects
+        offer.liquidity -= _amount;
+
+        emit OfferLiquidityWithdrawn(_offerId, _amount);
+
+        // Interaction
+        _transferOut(offer.asset, msg.sender, _amount);
+    }
+
+    /**
+     * @notice Borrower takes a standing offer, creating and funding a loan in one transaction.
+     * @dev The terms must fall within the offer's limits. The offer's lender becomes the
+     *      loan's sole lender and note holder, and the principal, less the origination fee,
+     *      is disbursed from the offer's liquidity right away. Collateral is taken as for
+     *      {createLoan}. Loans drawn from offers have no installment schedule or grace window.
+     *      Emits {LoanCreated}, {LoanFunded} and {OfferTaken}.
+     * @param _offerId             ID of the offer to take.
+     * @param _amount              Principal to draw.
+     * @param _revenueSharePercent Percentage of revenue to share (must be > 0).
+     * @param _repaymentCapPercent Repayment cap, at least the offer's minimum.
+     * @param _duration            Loan duration in seconds, at most the offer's maximum.
+     * @param _collateralAmount    Collateral to post, at least the offer's minimum ratio.
+     * @return loanId ID of the newly active loan.
+     */
+    function takeOffer(
+        uint256 _offerId,
+        uint256 _amount,
+        uint256 _revenueSharePercent,
+        uint256 _repaymentCapPercent,
+        uint256 _duration,
+        uint256 _collateralAmount
+    ) external payable nonReentrant whenNotPaused returns (uint256 loanId) {
+        LoanOffer storage offer = offers[_offerId];
+        address lender = offer.lender;
+        address asset  = offer.asset;
+
+        if (lender == address(0))                                revert OfferDoesNotExist();
+        if (msg.sender == lender)                                revert BorrowerCannotFundOwnLoan();
+        if (_amount > offer.liquidity)                           revert InsufficientOfferLiquidity();
+        if (_amount > offer.maxPrincipal)                        revert OfferTermsNotMet();
+        if (_repaymentCapPercent < offer.minRepaymentCapPercent) revert OfferTermsNotMet();
+        if (_duration > offer.maxDuration)                       revert OfferTermsNotMet();
+        if (msg.value != _nativeValue(asset, _collateralAmount)) revert IncorrectCollateralAmount();
+        if (_collateralAmount * 10_000 < _amount * offer.minCollateralRatioBps) {
+            revert OfferTermsNotMet();
+        }
+
+        // Effects
+        offer.liquidity -= _amount;
+
+        PaymentSchedule memory noSchedule;
+        GracePolicy memory noGrace;
+        loanId = _createLoan(
+            msg.sender,
+            _amount,
+            _revenueSharePercent,
+            _repaymentCapPercent,
+            _duration,
+            block.timestamp,
+            asset,
+            _collateralAmount,
+            noSchedule,
+            noGrace
+        );
+
+        Loan storage loan = loans[loanId];
+        loan.totalCommitted = _amount;
+        commitments[loanId][lender] = _amount;
+        loanLenders[loanId].push(lender);
+        lenderSlot[loanId][lender] = 1;
+
+        emit FundingCommitted(loanId, lender, _amount);
+        emit OfferTaken(_offerId, loanId, msg.sender, _amount);
+
+        uint256 disbursement = _activate(loanId);
+
+        // Interactions
+        _collect(asset, msg.sender, _collateralAmount);
+        _send(asset, msg.sender, disbursement);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                     LOAN AMENDMENTS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Borrower or a note holder proposes new terms for an active loan.
+     * @dev Replaces any pending amendment, whose acceptances no longer count, and counts as
+     *      the proposer's own acceptance. The new terms must leave part of the cap unpaid and
+     *      a maturity (on the loan clock) still ahead. Emits {AmendmentProposed}; applies the
+     *      amendment right away if the proposer is the only party.
+     * @param _loanId              ID of the loan to amend.
+     * @param _duration            New loan duration in seconds, counted from funding.
+     * @param _repaymentCapPercent New repayment cap as a percentage of principal (>= 100).
+     * @param _schedule            New installment schedule; pass all zeros for none.
+     * @return amendmentId ID the other parties pass to {acceptAmendment}.
+     */
+    function proposeAmendment(
+        uint256 _loanId,
+        uint256 _duration,
+        uint256 _repaymentCapPercent,
+        PaymentSchedule calldata _schedule
+    )
+        external
+        loanExists(_loanId)
+        loanActive(_loanId)
+        returns (uint256 amendmentId)
+    {
+        if (!_isLoanParty(_loanId, msg.sender)) revert NotLoanParty();
+
+        Amendment memory amendment = Amendment(_duration, _repaymentCapPercent, _schedule);
+        _checkAmendment(_loanId, amendment);
+
+        amendmentId = ++amendmentCount[_loanId];
+        amendments[_loanId] = amendment;
+
+        emit AmendmentProposed(_loanId, amendmentId, msg.sender, _duration, _repaymentCapPercent, _schedule);
+
+        _accept(_loanId, amendmentId);
+    }
+
+    /**
+     * @notice Borrower or a note holder accepts the pending amendment of a loan.
+     * @dev Taking the amendment ID guards against accepting terms swapped in by a newer
+     *      proposal. Once the borrower and the holders of all notes have accepted, the terms
+     *      are re-checked and applied to the loan. Emits {AmendmentAccepted}, then
+     *      {LoanAmended} and {PaymentScheduleSet} when applied.
+     * @param _loanId      ID of the loan.
+     * @param _amendmentId ID of the pending amendment.
+     */
+    function acceptAmendment(uint256 _loanId, uint256 _amendmentId)
+        external
+        loanExists(_loanId)
+        loanActive(_loanId)
+    {
+        if (_amendmentId != amendmentCount[_loanId] || amendments[_loanId].duration == 0) {
+            revert AmendmentDoesNotExist();
+        }
+        if (!_isLoanParty(_loanId, msg.sender)) revert NotLoanParty();
+
+        _accept(_loanId, _amendmentId);
+    }
+
+    /**
+     * @dev Records the caller's acceptance and applies the amendment once everyone agreed.
+     */
+    function _accept(uint256 _loanId, uint256 _amendmentId) private {
+        mapping(address => bool) storage accepted = amendmentAccepted[_loanId][_amendmentId];
+        accepted[msg.sender] = true;
+        emit AmendmentAccepted(_loanId, _amendmentId, msg.sender);
+
+        if (!accepted[loans[_loanId].borrower]) return;
+        uint256[] storage noteIds = loanNoteIds[_loanId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            if (!accepted[loanNote.ownerOf(noteIds[i])]) return;
+        }
+
+        Amendment memory amendment = amendments[_loanId];
+        _checkAmendment(_loanId, amendment);
+
+        // Settle late fees under the old terms before maturity or the cap move
+        _accrueLateFees(_loanId);
+
+        Loan storage loan = loans[_loanId];
+        loan.duration            = amendment.duration;
+        loan.repaymentCapPercent = amendment.repaymentCapPercent;
+        schedules[_loanId]       = amendment.schedule;
+
+        uint256 requiredRepayment = (loan.principal * amendment.repaymentCapPercent) / 100;
+        if (loan.totalOwed > requiredRepayment) loan.totalOwed = requiredRepayment;
+        delete amendments[_loanId];
+
+        emit LoanAmended(_loanId, _amendmentId, amendment.duration, amendment.repaymentCapPercent);
+        emit PaymentScheduleSet(
+            _loanId,
+            amendment.schedule.period,
+            amendment.schedule.installmentAmount,
+            amendment.schedule.installmentPercent,
+            amendment.schedule.missedPeriodsToDefault
+        );
+    }
+
+    /**
+     * @dev Reverts unless the terms are valid for the loan as it stands now.
+     */
+    function _checkAmendment(uint256 _loanId, Amendment memory _amendment) private view {
+        Loan storage loan = loans[_loanId];
+        uint256 principal         = loan.principal;
+        uint256 requiredRepayment = (principal * _amendment.repaymentCapPercent) / 100;
+
+        if (_amendment.duration == 0)                                    revert InvalidDuration();
+        if (_amendment.repaymentCapPercent < 100)                        revert InvalidRepaymentCap();
+        if (requiredRepayment <= loan.totalRepaid)                       revert InvalidAmendment();
+        if (loan.startTime + _amendment.duration <= loanClock(_loanId)) revert InvalidAmendment();
+        if (!_isValidSchedule(_amendment.schedule, principal, _amendment.repaymentCapPercent, _amendment.duration)) {
+            revert InvalidSchedule();
+        }
+    }
+
+    /**
+     * @dev Whether `_account` is the borrower or holds a note of the loan.
+     */
+    function _isLoanParty(uint256 _loanId, address _account) private view returns (bool) {
+        return loans[_loanId].borrower == _account || _holdsNote(_loanId, _account);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                     LOAN LIFECYCLE
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @dev Validates the terms and records a new, unfunded loan request for `_borrower`.
+     *      The funding deadline and collateral payment are checked by the caller.
+     */
+    function _createLoan(
+        address _borrower,
+        uint256 _amount,
+        uint256 _revenueSharePercent,
+        uint256 _repaymentCapPercent,
+        uint256 _duration,
+        uint256 _fundingDeadline,
+        address _asset,
+        uint256 _collateralAmount,
+        PaymentSchedule memory _schedule,
+        GracePolicy memory _gracePolicy
+    ) private returns (uint256 loanId) {
+        if (_amount == 0)                                    revert InvalidPrincipal();
+        if (_revenueSharePercent == 0)                       revert InvalidRevenueShare();
+        if (_repaymentCapPercent < 100)                      revert InvalidRepaymentCap();
+        if (_duration == 0)                                  revert InvalidDuration();
+        if (_asset != address(0) && !isAllowedAsset[_asset]) revert AssetNotAllowed();
+        if (_collateralAmount > _amount)                     revert CollateralTooHigh();
+        if (!_isValidSchedule(_schedule, _amount, _repaymentCapPercent, _duration)) {
+            revert InvalidSchedule();
+        }
+        if (!_isValidGracePolicy(_gracePolicy))              revert InvalidGracePolicy();
+
+        loanId = nextLoanId++;
+        loans[loanId] = Loan({
+            borrower:            _borrower,
+            lender:              address(0),
+            principal:           _amount,
+            revenueSharePercent: _revenueSharePercent,
+            repaymentCapPercent: _repaymentCapPercent,
+            totalRepaid:         0,
+            funded:              false,
+            active:              false,
+            collateralAmount:    _collateralAmount,
+            startTime:           0,
+            duration:            _duration,
+            totalOwed:           0,
+            obligationDueTime:   0,
+            cancelled:           false,
+            fundingDeadline:     _fundingDeadline,
+            asset:               _asset,
+            totalCommitted:      0
+        });
+        loanFeeRates[loanId] = feeRates;
+        borrowerLoans[_borrower].add(loanId);
+        openLoans.add(loanId);
+
+        emit LoanCreated(
+            loanId,
+            _borrower,
+            _amount,
+            _revenueSharePercent,
+            _repaymentCapPercent,
+            _duration,
+            _collateralAmount,
+            _fundingDeadline,
+            _asset
+        );
+
+        if (_schedule.period != 0) {
+            schedules[loanId] = _schedule;
+            emit PaymentScheduleSet(
+                loanId,
+                _schedule.period,
+                _schedule.installmentAmount,
+                _schedule.installmentPercent,
+                _schedule.missedPeriodsToDefault
+            );
+        }
+
+        if (_gracePolicy.period != 0) {
+            gracePolicies[loanId] = _gracePolicy;
+            emit GracePolicySet(loanId, _gracePolicy.period, _gracePolicy.lateFeeBpsPerDay);
+        }
+    }
+
+    /**
+     * @dev Activates a loan whose commitments cover the principal: the first contributor
+     *      becomes the lead `lender`, notes are minted, the loan counts towards the
+     *      borrower's credit history and the origination fee is booked.
+     *      Returns the amount to disburse to the borrower.
+     */
+    function _activate(uint256 _loanId) private returns (uint256 disbursement) {
+        Loan storage loan = loans[_loanId];
+        address[] storage lenders = loanLenders[_loanId];
+
+        address lead   = lenders[0];
+        loan.lender    = lead;
+        loan.funded    = true;
+        loan.active    = true;
+        loan.startTime = block.timestamp;
+        pausedTimeAtFunding[_loanId] = totalPausedTime;
+        openLoans.remove(_loanId);
+        activeLoans.add(_loanId);
+
+        emit LoanFunded(_loanId, lead);
+
+        _mintNotes(_loanId, lenders);
+
+        uint256 principal = loan.principal;
+        creditHistories[loan.borrower].loansTaken += 1;
+        borrowedVolume[loan.borrower][loan.asset] += principal;
+
+        uint256 fee = _chargeFee(_loanId, loan.asset, principal, loanFeeRates[_loanId].originationBps);
+        return principal - fee;
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                    REVENUE REPORTING
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Authorized reporter submits a revenue figure for an active loan.
+     * @dev Adds `revenue * revenueSharePercent / 100` to the loan's outstanding obligation.
+     *      Emits {RevenueReported}.
+     * @param _loanId  ID of the loan the revenue belongs to.
+     * @param _revenue Revenue for the reporting period, in wei.
+     */
+    function reportRevenue(uint256 _loanId, uint256 _revenue)
+        external
+        whenNotPaused
+        loanExists(_loanId)
+        loanFunded(_loanId)
+        loanActive(_loanId)
+    {
+        if (!hasRole(REPORTER_ROLE, msg.sender)) revert NotRevenueReporter();
+        _recordRevenue(_loanId, _revenue, msg.sender);
+    }
+
+    /**
+     * @notice Borrower submits a revenue figure signed off by an authorized reporter.
+     * @dev The signature must cover {revenueAttestationHash} for the current report count,
+     *      so every attestation can be used exactly once. Emits {RevenueReported}.
+     * @param _loanId    ID of the loan the revenue belongs to.
+     * @param _revenue   Revenue for the reporting period, in wei.
+     * @param _signature Reporter's EIP-191 signature over the attestation hash.
+     */
+    function submitRevenueAttestation(uint256 _loanId, uint256 _revenue, bytes calldata _signature)
+        external
+        whenNotPaused
+        loanExists(_loanId)
+        onlyBorrower(_loanId)
+        loanFunded(_loanId)
+        loanActive(_loanId)
+    {
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(revenueAttestationHash(_loanId, _revenue));
+        (address reporter, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, _signature);
+        if (err != ECDSA.RecoverError.NoError || !hasRole(REPORTER_ROLE, reporter)) revert InvalidAttestation();
+
+        _recordRevenue(_loanId, _revenue, reporter);
+    }
+
+    /**
+     * @notice Hash a reporter signs to attest to a borrower's revenue for the next report.
+     * @param _loanId  ID of the loan the revenue belongs to.
+     * @param _revenue Revenue for the reporting period, in wei.
+     * @return The attestation hash, before EIP-191 prefixing.
+     */
+    function revenueAttestationHash(uint256 _loanId, uint256 _revenue) public view returns (bytes32) {
+        return keccak256(
+            abi.encodePacked(address(this), block.chainid, _loanId, revenueReportCount[_loanId], _revenue)
+        );
+    }
+
+    /**
+     * @dev Converts reported revenue into an obligation, bounded by the repayment cap.
+     *      A fresh payment deadline starts only when nothing from earlier reports is
+     *      outstanding, so new reports cannot push back an overdue obligation.
+     */
+    function _recordRevenue(uint256 _loanId, uint256 _revenue, address _reporter) private {
+        if (_revenue == 0) revert InvalidRevenue();
+
+        Loan storage loan = loans[_loanId];
+
+        uint256 requiredRepayment = (loan.principal * loan.repaymentCapPercent) / 100;
+        uint256 totalOwed         = loan.totalOwed;
+        uint256 amountOwed        = (_revenue * loan.revenueSharePercent) / 100;
+
+        if (totalOwed + amountOwed > requiredRepayment) {
+            amountOwed = requiredRepayment > totalOwed ? requiredRepayment - totalOwed : 0;
+        }
+
+        if (loan.totalRepaid >= totalOwed) {
+            loan.obligationDueTime = loanClock(_loanId) + REVENUE_PAYMENT_WINDOW;
+        }
+        loan.totalOwed = totalOwed + amountOwed;
+        revenueReportCount[_loanId]++;
+
+        emit RevenueReported(_loanId, _reporter, _revenue, amountOwed, loan.obligationDueTime);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                        LOAN CLOCK
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Current time as seen by a loan: the block timestamp minus the time the protocol
+     *         has spent paused since the loan was funded.
+     * @dev Maturity, installments, late fees and revenue deadlines are all measured on this
+     *      clock, so each pause extends them by its length. Equals `block.timestamp` for
+     *      loans that have never been through a pause; only meaningful once funded.
+     * @param _loanId ID of the loan to query.
+     */
+    function loanClock(uint256 _loanId) public view returns (uint256) {
+        uint256 pausedTime = totalPausedTime;
+        if (paused()) pausedTime += block.timestamp - pausedAt;
+        return block.timestamp - (pausedTime - pausedTimeAtFunding[_loanId]);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                   INSTALLMENT SCHEDULE
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @dev A schedule is either absent (all zero) or has a period no longer than the loan,
+     *      exactly one way of sizing a non-zero installment, and a non-zero default threshold.
+     */
+    function _isValidSchedule(
+        PaymentSchedule memory _schedule,
+        uint256 _principal,
+        uint256 _repaymentCapPercent,
+        uint256 _duration
+    ) private pure returns (bool) {
+        if (_schedule.period == 0) {
+            return _schedule.installmentAmount == 0
+                && _schedule.installmentPercent == 0
+                && _schedule.missedPeriodsToDefault == 0;
+        }
+        bool byAmount  = _schedule.installmentAmount != 0;
+        bool byPercent = _schedule.installmentPercent != 0;
+        return _schedule.period <= _duration
+            && byAmount != byPercent
+            && _schedule.installmentPercent <= 100
+            && (byAmount || _principal * _repaymentCapPercent * _schedule.installmentPercent >= 10_000)
+            && _schedule.missedPeriodsToDefault != 0;
+    }
+
+    /**
+     * @dev Amount due per installment period, in the loan asset.
+     */
+    function _installment(uint256 _loanId) private view returns (uint256) {
+        PaymentSchedule storage schedule = schedules[_loanId];
+        if (schedule.installmentAmount != 0) return schedule.installmentAmount;
+
+        Loan storage loan = loans[_loanId];
+        return (loan.principal * loan.repaymentCapPercent * schedule.installmentPercent) / 10_000;
+    }
+
+    /**
+     * @notice Cumulative amount a loan should have repaid by now.
+     * @dev Grows by one installment per elapsed period, capped at the repayment cap. The
+     *      full cap is due once the loan has matured; unscheduled loans owe nothing before.
+     *      Returns 0 for loans that are not active.
+     * @param _loanId ID of the loan to query.
+     */
+    function amountDue(uint256 _loanId) public view loanExists(_loanId) returns (uint256) {
+        Loan storage loan = loans[_loanId];
+        if (!loan.active) return 0;
+
+        uint256 requiredRepayment = (loan.principal * loan.repaymentCapPercent) / 100;
+        uint256 clock             = loanClock(_loanId);
+        if (clock > loan.startTime + loan.duration) return requiredRepayment;
+
+        uint256 period = schedules[_loanId].period;
+        if (period == 0) return 0;
+
+        uint256 due = ((clock - loan.startTime) / period) * _installment(_loanId);
+        return due > requiredRepayment ? requiredRepayment : due;
+    }
+
+    /**
+     * @dev Amount due but not yet repaid.
+     */
+    function _arrears(uint256 _loanId) private view returns (uint256) {
+        uint256 due    = amountDue(_loanId);
+        uint256 repaid = loans[_loanId].totalRepaid;
+        return due > repaid ? due - repaid : 0;
+    }
+
+    /**
+     * @dev Installments the arrears amount to, counting a partly paid one as missed.
+     *      Always 0 for unscheduled loans.
+     */
+    function _missedPeriods(uint256 _loanId) private view returns (uint256) {
+        if (schedules[_loanId].period == 0) return 0;
+        uint256 installment = _installment(_loanId);
+        return (_arrears(_loanId) + installment - 1) / installment;
+    }
+
+    /**
+     * @dev Next installment deadline, or maturity for unscheduled loans. 0 when inactive.
+     *      Returned as a block timestamp, i.e. pushed back by the time spent paused.
+     */
+    function _nextDueDate(uint256 _loanId) private view returns (uint256) {
+        Loan storage loan = loans[_loanId];
+        if (!loan.active) return 0;
+
+        uint256 clock    = loanClock(_loanId);
+        uint256 maturity = loan.startTime + loan.duration;
+        uint256 period   = schedules[_loanId].period;
+
+        uint256 next = maturity;
+        if (period != 0 && clock < maturity) {
+            next = loan.startTime + ((clock - loan.startTime) / period + 1) * period;
+            if (next > maturity) next = maturity;
+        }
+        return next + (block.timestamp - clock);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                    GRACE AND LATE FEES
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @dev A late fee needs a grace window to accrue in and may not exceed the protocol maximum.
+     */
+    function _isValidGracePolicy(GracePolicy memory _gracePolicy) private pure returns (bool) {
+        if (_gracePolicy.lateFeeBpsPerDay > MAX_LATE_FEE_BPS_PER_DAY) return false;
+        return _gracePolicy.period != 0 || _gracePolicy.lateFeeBpsPerDay == 0;
+    }
+
+    /**
+     * @notice Late fees the borrower owes right now, including fees not yet checkpointed.
+     * @dev Fees accrue linearly on the unpaid part of the cap from maturity until the end
+     *      of the grace window, at the loan's `lateFeeBpsPerDay`.
+     * @param _loanId ID of the loan to query.
+     * @return Unpaid late fees in the loan asset.
+     */
+    function lateFeesOwed(uint256 _loanId) public view loanExists(_loanId) returns (uint256) {
+        LateFees storage fees = lateFees[_loanId];
+        (uint256 pending, ) = _pendingLateFees(_loanId);
+        return fees.accrued + pending - fees.paid;
+    }
+
+    /**
+     * @dev Fees accrued since the last checkpoint, and the time they are accrued up to.
+     */
+    function _pendingLateFees(uint256 _loanId) private view returns (uint256 pending, uint256 until) {
+        Loan storage loan = loans[_loanId];
+        GracePolicy storage policy = gracePolicies[_loanId];
+        if (!loan.active || policy.lateFeeBpsPerDay == 0) return (0, 0);
+
+        uint256 maturity = loan.startTime + loan.duration;
+        uint256 from     = lateFees[_loanId].accruedUntil;
+        if (from < maturity) from = maturity;
+
+        uint256 clock = loanClock(_loanId);
+        until = maturity + policy.period;
+        if (clock < until) until = clock;
+        if (until <= from) return (0, from);
+
+        uint256 unpaidCap = (loan.principal * loan.repaymentCapPercent) / 100 - loan.totalRepaid;
+        pending = (unpaidCap * policy.lateFeeBpsPerDay * (until - from)) / (10_000 * 1 days);
+    }
+
+    /**
+     * @dev Checkpoints pending late fees so later payments do not shrink the base they
+     *      accrued on.
+     */
+    function _accrueLateFees(uint256 _loanId) private returns (LateFees storage fees) {
+        fees = lateFees[_loanId];
+        (uint256 pending, uint256 until) = _pendingLateFees(_loanId);
+        if (until != 0) {
+            fees.accrued     += pending;
+            fees.accruedUntil = until;
+        }
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                     ASSET TRANSFERS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @dev `msg.value` expected alongside a payment of `_amount`: the amount itself for
+     *      native loans, zero for token loans.
+     */
+    function _nativeValue(address _asset, uint256 _amount) private pure returns (uint256) {
+        return _asset == address(0) ? _amount : 0;
+    }
+
+    /**
+     * @dev Pulls `_amount` of a token into the contract. Native amounts have already
+     *      arrived with the call and were checked against {_nativeValue}.
+     */
+    function _collect(address _asset, address _from, uint256 _amount) private {
+        if (_asset != address(0) && _amount > 0) {
+            IERC20(_asset).safeTransferFrom(_from, address(this), _amount);
+        }
+    }
+
+    /**
+     * @dev Pushes `_amount` of the loan asset to `_to` as a fast path. If the recipient
+     *      rejects it (or a token transfer fails), the amount is credited to
+     *      {withdrawable} instead so one party can never block another's payment.
+     */
+    function _send(address _asset, address _to, uint256 _amount) private {
+        if (_amount == 0) return;
+
+        bool success;
+        if (_asset == address(0)) {
+            (success, ) = _to.call{value: _amount, gas: PUSH_GAS_LIMIT}("");
+        } else {
+            bytes memory data;
+            (success, data) = _asset.call(abi.encodeCall(IERC20.transfer, (_to, _amount)));
+            success = success && (data.length == 0 ? _asset.code.length > 0 : abi.decode(data, (bool)));
+        }
+
+        if (!success) {
+            withdrawable[_to][_asset] += _amount;
+            emit Withdrawable(_to, _asset, _amount);
+        }
+    }
+
+    /**
+     * @dev Transfers `_amount` out and reverts on failure, for withdrawals where the caller
+     *      is the recipient and can simply retry.
+     */
+    function _transferOut(address _asset, address _to, uint256 _amount) private {
+        if (_asset == address(0)) {
+            (bool success, ) = _to.call{value: _amount}("");
+            if (!success) revert TransferFailed();
+        } else {
+            IERC20(_asset).safeTransfer(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Splits `_amount` across the loan's current note holders in proportion to the
+     *      principal each note represents. Rounding dust goes to the lead note's holder.
+     */
+    function _distribute(uint256 _loanId, address _asset, uint256 _amount) private {
+        uint256[] storage noteIds = loanNoteIds[_loanId];
+        uint256 principal = loans[_loanId].principal;
+        uint256 count     = noteIds.length;
+        uint256 distributed;
+
+        for (uint256 i = 1; i < count; i++) {
+            uint256 noteId = noteIds[i];
+            uint256 share  = (_amount * notePrincipal[noteId]) / principal;
+            distributed += share;
+            _send(_asset, loanNote.ownerOf(noteId), share);
+        }
+        _send(_asset, loanNote.ownerOf(noteIds[0]), _amount - distributed);
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                       LOAN NOTES
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Keeps the lender index in step with a note that changed hands.
+     * @dev Only callable by {loanNote}, on every transfer after minting. The previous
+     *      holder stays indexed while they still hold another note of the same loan.
+     * @param _noteId ID of the transferred note.
+     * @param _from   Previous holder.
+     * @param _to     New holder.
+     */
+    function onNoteTransfer(uint256 _noteId, address _from, address _to) external {
+        if (msg.sender != address(loanNote)) revert NotLoanNote();
+
+        uint256 loanId = noteLoanId[_noteId];
+        if (!_holdsNote(loanId, _from)) lenderLoans[_from].remove(loanId);
+        lenderLoans[_to].add(loanId);
+    }
+
+    /**
+     * @dev Mints one note per contributor, in commitment order, when a loan activates.
+     */
+    function _mintNotes(uint256 _loanId, address[] storage _lenders) private {
+        uint256 count = _lenders.length;
+        for (uint256 i = 0; i < count; i++) {
+            address contributor = _lenders[i];
+            uint256 amount      = commitments[_loanId][contributor];
+            uint256 noteId      = loanNote.mint(contributor);
+
+            noteLoanId[noteId]    = _loanId;
+            notePrincipal[noteId] = amount;
+            loanNoteIds[_loanId].push(noteId);
+            lenderLoans[contributor].add(_loanId);
+
+            emit LoanNoteMinted(_loanId, noteId, contributor, amount);
+        }
+    }
+
+    /**
+     * @dev Whether `_account` currently holds any note of the loan.
+     */
+    function _holdsNote(uint256 _loanId, address _account) private view returns (bool) {
+        uint256[] storage noteIds = loanNoteIds[_loanId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            if (loanNote.ownerOf(noteIds[i]) == _account) return true;
+        }
+        return false;
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                      VIEW FUNCTIONS
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Returns the full on-chain state of a loan by its ID.
+     * @dev Reverts with {LoanDoesNotExist} if the ID is out of range.
+     * @param _loanId ID of the loan to query.
+     * @return loan        A `Loan` memory struct containing all loan parameters and current state.
+     * @return nextDueDate Next installment deadline (maturity if unscheduled; 0 if inactive).
+     * @return arrears     Amount due under the schedule (or at maturity) but not yet repaid.
+     */
+    function getLoan(uint256 _loanId)
+        external
+        view
+        loanExists(_loanId)
+        returns (Loan memory loan, uint256 nextDueDate, uint256 arrears)
+    {
+        return (loans[_loanId], _nextDueDate(_loanId), _arrears(_loanId));
+    }
+
+    /**
+     * @notice Returns several loans in one call, e.g. a page from the enumeration views below.
+     * @dev Reverts with {LoanDoesNotExist} if any ID is out of range.
+     * @param _loanIds IDs of the loans to query.
+     * @return loanData     Full state of each loan, in the order requested.
+     * @return nextDueDates Next installment deadline of each loan (see {getLoan}).
+     * @return arrears      Amount each loan is behind on (see {getLoan}).
+     * @return fees         Protocol fee rates each loan was created under.
+     */
+    function getLoans(uint256[] calldata _loanIds)
+        external
+        view
+        returns (
+            Loan[] memory loanData,
+            uint256[] memory nextDueDates,
+            uint256[] memory arrears,
+            FeeRates[] memory fees
+        )
+    {
+        uint256 count = _loanIds.length;
+        loanData     = new Loan[](count);
+        nextDueDates = new uint256[](count);
+        arrears      = new uint256[](count);
+        fees         = new FeeRates[](count);
+        for (uint256 i = 0; i < count; i++) {
+            uint256 loanId = _loanIds[i];
+            if (loanId == 0 || loanId >= nextLoanId) revert LoanDoesNotExist();
+            loanData[i]     = loans[loanId];
+            nextDueDates[i] = _nextDueDate(loanId);
+            arrears[i]      = _arrears(loanId);
+            fees[i]         = loanFeeRates[loanId];
+        }
+    }
+
+    /**
+     * @notice Returns a page of the loans requested by a borrower, oldest first.
+     * @param _borrower Borrower to query.
+     * @param _offset   Index of the first ID to return.
+     * @param _limit    Maximum number of IDs to return.
+     * @return loanIds  IDs on the requested page.
+     * @return total    Total number of loans the borrower has requested.
+     */
+    function getLoanIdsByBorrower(address _borrower, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory loanIds, uint256 total)
+    {
+        return _paginate(borrowerLoans[_borrower], _offset, _limit);
+    }
+
+    /**
+     * @notice Returns a page of the funded loans a lender currently holds notes of.
+     * @dev Indexed when the loan activates and updated as notes change hands (see
+     *      {onNoteTransfer}), so note buyers are listed and sellers drop out. Oldest
+     *      first until a loan is removed, which moves the last ID into its place.
+     * @param _lender  Lender to query.
+     * @param _offset  Index of the first ID to return.
+     * @param _limit   Maximum number of IDs to return.
+     * @return loanIds IDs on the requested page.
+     * @return total   Total number of loans the lender holds notes of.
+     */
+    function getLoanIdsByLender(address _lender, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory loanIds, uint256 total)
+    {
+        return _paginate(lenderLoans[_lender], _offset, _limit);
+    }
+
+    /**
+     * @notice Returns a page of unfunded requests that have not been cancelled.
+     * @dev Requests past their funding deadline stay listed until refunded via
+     *      {refundExpiredLoan}. Order is not stable across removals.
+     * @param _offset  Index of the first ID to return.
+     * @param _limit   Maximum number of IDs to return.
+     * @return loanIds IDs on the requested page.
+     * @return total   Total number of open requests.
+     */
+    function getOpenLoanIds(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory loanIds, uint256 total)
+    {
+        return _paginate(openLoans, _offset, _limit);
+    }
+
+    /**
+     * @notice Returns a page of funded loans that have not been closed.
+     * @dev Order is not stable across removals.
+     * @param _offset  Index of the first ID to return.
+     * @param _limit   Maximum number of IDs to return.
+     * @return loanIds IDs on the requested page.
+     * @return total   Total number of active loans.
+     */
+    function getActiveLoanIds(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory loanIds, uint256 total)
+    {
+        return _paginate(activeLoans, _offset, _limit);
+    }
+
+    /**
+     * @dev Copies up to `_limit` IDs of `_set` starting at `_offset`.
+     */
+    function _paginate(EnumerableSet.UintSet storage _set, uint256 _offset, uint256 _limit)
+        private
+        view
+        returns (uint256[] memory page, uint256 total)
+    {
+        total = _set.length();
+        if (_offset >= total) return (new uint256[](0), total);
+
+        uint256 count = total - _offset;
+        if (count > _limit) count = _limit;
+
+        page = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = _set.at(_offset + i);
+        }
+    }
+
+    /**
+     * @notice Returns a borrower's credit history for lenders assessing their requests.
+     * @param _borrower Borrower to query.
+     * @return history              Loans taken, repaid to cap and defaulted, and total repayment time.
+     * @return averageRepaymentTime Mean seconds from funding to full repayment (0 if none repaid).
+     */
+    function getCreditHistory(address _borrower)
+        external
+        view
+        returns (CreditHistory memory history, uint256 averageRepaymentTime)
+    {
+        history = creditHistories[_borrower];
+        if (history.loansRepaid != 0) {
+            averageRepaymentTime = history.totalRepaymentTime / history.loansRepaid;
+        }
+    }
+
+    /**
+     * @notice Returns the notes of a funded loan with their current holders and positions.
+     * @param _loanId ID of the loan to query.
+     * @return noteIds IDs of the loan's notes; the first is the lead lender's note.
+     * @return holders Current holder of each note.
+     * @return amounts Principal share each note represents, in the loan asset.
+     */
+    function getLoanNotes(uint256 _loanId)
+        external
+        view
+        loanExists(_loanId)
+        returns (uint256[] memory noteIds, address[] memory holders, uint256[] memory amounts)
+    {
+        noteIds = loanNoteIds[_loanId];
+        holders = new address[](noteIds.length);
+        amounts = new uint256[](noteIds.length);
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            holders[i] = loanNote.ownerOf(noteIds[i]);
+            amounts[i] = notePrincipal[noteIds[i]];
+        }
+    }
+
+    /**
+     * @notice Returns every lender of a loan together with their committed amounts.
+     * @param _loanId ID of the loan to query.
+     * @return lenders Contributor addresses; the first entry is the lead lender once funded.
+     * @return amounts Amount committed by each contributor, in the loan asset.
+     */
+    function getLenders(uint256 _loanId)
+        external
+        view
+        loanExists(_loanId)
+        returns (address[] memory lenders, uint256[] memory amounts)
+    {
+        lenders = loanLenders[_loanId];
+        amounts = new uint256[](lenders.length);
+        for (uint256 i = 0; i < lenders.length; i++) {
+            amounts[i] = commitments[_loanId][lenders[i]];
+        }
     }
 }
@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/utils/ReentrancyGuard.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/IERC20.sol";
+import "https://raw.githubusercontent.com/OpenZeppelin/openzeppelin-contracts/v5.0.1/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./RevenueLoan.sol";
+
+/**
+ * @title RevenueSplitter
+ * @notice Payment address for one FlowCredit loan. Every payment is split by the loan's
+ *         revenue share: the lenders' part is repaid through {RevenueLoan}, the rest goes
+ *         to the borrower.
+ * @dev Deployed by {RevenueSplitterFactory}; the borrower must make it the loan's repayment
+ *      agent (see {RevenueLoan-setRepaymentAgent}) before it can repay. Native payments
+ *      are split as they arrive; token payments are split by calling {split}. Once the
+ *      loan is closed, defaulted or the splitter is not (yet) its agent, payments go to the
+ *      borrower in full.
+ */
+contract RevenueSplitter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ────────────────────────────────────────────────────────────
+    //                      CUSTOM ERRORS
+    // ────────────────────────────────────────────────────────────
+
+    error TransferFailed();
+    error NothingToSplit();
+
+    // ────────────────────────────────────────────────────────────
+    //                     STATE VARIABLES
+    // ────────────────────────────────────────────────────────────
+
+    RevenueLoan public immutable revenueLoan;
+    uint256 public immutable loanId;
+    address public immutable borrower;
+    address public immutable asset;
+    uint256 public immutable revenueSharePercent;
+
+    // ────────────────────────────────────────────────────────────
+    //                         EVENTS
+    // ────────────────────────────────────────────────────────────
+
+    event RevenueSplit(uint256 amount, uint256 repaid, uint256 toBorrower);
+
+    // ────────────────────────────────────────────────────────────
+    //                       CONSTRUCTOR
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @param _revenueLoan Protocol contract the loan lives in.
+     * @param _loanId      ID of the loan payments are routed to.
+     */
+    constructor(RevenueLoan _revenueLoan, uint256 _loanId) {
+        (RevenueLoan.Loan memory loan, , ) = _revenueLoan.getLoan(_loanId);
+
+        revenueLoan         = _revenueLoan;
+        loanId              = _loanId;
+        borrower            = loan.borrower;
+        asset               = loan.asset;
+        revenueSharePercent = loan.revenueSharePercent;
+    }
+
+    // ────────────────────────────────────────────────────────────
+    //                        SPLITTING
+    // ────────────────────────────────────────────────────────────
+
+    /**
+     * @notice Splits native payments as they arrive. Payers must forward enough gas for the
+     *         repayment; plain `transfer`/`send` payments will revert.
+     */
+    receive() external payable {
+        if (asset == address(0)) _split();
+    }
+
+    /**
+     * @notice Splits the splitter's whole balance of the loan asset.
+     * @dev Callable by anyone, e.g. a keeper after token payments arrive. Emits {RevenueSplit}.
+     */
+    function split() external {
+        _split();
+    }
+
+    /**
+     * @dev Repays the lenders' share of the balance, capped by what the loan still owes,
+     *      and sends everything left to the borrower. A repayment the loan no longer accepts
+     *      is skipped rather than blocking the payment.
+     */
+    function _split() private nonReentrant {
+        uint256 amount = _balance();
+        if (amount == 0) revert NothingToSplit();
+
+        uint256 owed   = revenueLoan.remainingObligation(loanId);
+        uint256 share  = (amount * revenueSharePercent) / 100;
+        uint256 toLoan = share < owed ? share : owed;
+
+        uint256 repaid;
+        if (toLoan != 0) {
+            if (asset != address(0)) IERC20(asset).forceApprove(address(revenueLoan), toLoan);
+            uint256 value = asset == address(0) ? toLoan : 0;
+            try revenueLoan.repay{value: value}(loanId, toLoan) {
+                repaid = owed - revenueLoan.remainingObligation(loanId);
+            } catch {}
+            if (asset != address(0)) IERC20(asset).forceApprove(address(revenueLoan), 0);
+        }
+
+        // Native excess over the applied amount is refunded to the borrower by RevenueLoan
+        uint256 toBorrower = _balance();
+        emit RevenueSplit(amount, repaid, toBorrower);
+
+        if (asset == address(0)) {
+            (bool ok, ) = payable(borrower).call{value: toBorrower}("");
+            if (!ok) revert TransferFailed();
+        } else {
+            IERC20(asset).safeTransfer(borrower, toBorrower);
+        }
+    }
+
+    function _balance() private view returns (uint256) {
+        return asset == address(0) ? address(this).balance : IERC20(asset).balanceOf(address(this));
+    }
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RevenueLoan.sol";
+import "./RevenueSplitter.sol";
+
+/**
+ * @title RevenueSplitterFactory
+ * @notice Deploys one {RevenueSplitter} payment address per FlowCredit loan.
+ * @dev Splitters are created with CREATE2 salted by loan ID, so a loan's payment address
+ *      can be computed (see {splitterAddress}) before it is deployed.
+ */
+contract RevenueSplitterFactory {
+
+    // ────────────────────────────────────────────────────────────
+    //                      CUSTOM ERRORS
+    // ────────────────────────────────────────────────────────────
+
+    error NotBorrower();
+    error SplitterExists();
+
+    // ────────────────────────────────────────────────────────────
+    //                     STATE VARIABLES
+    // ────────────────────────────────────────────────────────────
+
+    RevenueLoan public immutable revenueLoan;
+
+    /// @notice Splitter deployed for each loan (loanId => splitter).
+    mapping(uint256 => address) public splitterOf;
+
+    // ────────────────────────────────────────────────────────────
+    //                         EVENTS
+    // ────────────────────────────────────────────────────────────
+
+    event SplitterCreated(uint256 indexed loanId, address indexed splitter, address indexed borrower);
+
+    constructor(RevenueLoan _revenueLoan) {
+        revenueLoan = _revenueLoan;
+    }
+
+    /**
+     * @notice Borrower deploys the payment splitter of one of their loans.
+     * @dev The borrower still has to make it the loan's repayment agent with
+     *      {RevenueLoan-setRepaymentAgent}. Emits {SplitterCreated}.
+     * @param _loanId ID of the loan.
+     * @return splitter Address of the new splitter.
+     */
+    function createSplitter(uint256 _loanId) external returns (address splitter) {
+        (RevenueLoan.Loan memory loan, , ) = revenueLoan.getLoan(_loanId);
+        if (loan.borrower != msg.sender)       revert NotBorrower();
+        if (splitterOf[_loanId] != address(0)) revert SplitterExists();
+
+        splitter = address(new RevenueSplitter{salt: bytes32(_loanId)}(revenueLoan, _loanId));
+        splitterOf[_loanId] = splitter;
+
+        emit SplitterCreated(_loanId, splitter, msg.sender);
+    }
+
+    /**
+     * @notice Address the splitter of a loan has, or will have once created.
+     * @param _loanId ID of the loan.
+     */
+    function splitterAddress(uint256 _loanId) external view returns (address) {
+        bytes32 initCodeHash = keccak256(
+            abi.encodePacked(type(RevenueSplitter).creationCode, abi.encode(revenueLoan, _loanId))
+        );
+        return address(uint160(uint256(
+            keccak256(abi.encodePacked(bytes1(0xff), address(this), bytes32(_loanId), initCodeHash))
+        )));
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../RevenueLoan.sol";
+
+/**
+ * @notice Lender/borrower stand-in that rejects native payments while `rejectPayments` is set.
+ * @dev Used by the test suite to check that a hostile counterparty cannot block repayment.
+ */
+contract RejectingReceiver {
+    RevenueLoan public immutable revenueLoan;
+    bool public rejectPayments = true;
+
+    constructor(RevenueLoan _revenueLoan) {
+        revenueLoan = _revenueLoan;
+    }
+
+    function fund(uint256 _loanId, uint256 _amount) external payable {
+        revenueLoan.fundLoan{value: msg.value}(_loanId, _amount);
+    }
+
+    function claim(uint256 _loanId) external {
+        revenueLoan.claimCollateral(_loanId);
+    }
+
+    function withdraw(address _asset) external {
+        revenueLoan.withdraw(_asset);
+    }
+
+    function setRejectPayments(bool _reject) external {
+        rejectPayments = _reject;
+    }
+
+    receive() external payable {
+        if (rejectPayments) revert("payments rejected");
+    }
+}
@@ -25,6 +25,7 @@
 
   // --- Utilities ---
   const rAF = (fn) => window.requestAnimationFrame(fn);
+  const SECONDS_PER_MONTH = 30 * 24 * 60 * 60; // loan durations are entered in 30-day months
 
   // --- Preferences Module ---
   modules.Preferences = {
@@ -223,6 +224,7 @@
   // --- Stats Module ---
   modules.Stats = {
     animated: new WeakSet(),
+    compact: new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }),
 
     init() {
       const elements = Array.from(document.querySelectorAll('.stat-value'));
@@ -300,12 +302,83 @@
       };
 
       rAF(step);
+    },
+
+    // Recompute the platform figures from the loan store (native CTC loans only,
+    // since token amounts are not comparable)
+    update(loans) {
+      const native = loans.filter(loan => BigInt(loan.asset) === 0n);
+      const funded = native.filter(loan => loan.funded);
+      const repaid = funded.filter(loan => !loan.active && !loan.defaulted).length;
+      const defaulted = funded.filter(loan => loan.defaulted).length;
+      const sum = (list, field) => list.reduce((total, loan) => total + parseFloat(loan[field]), 0);
+
+      const values = {
+        totalFunded: `${this.compact.format(sum(funded, 'principal'))} CTC`,
+        activeLoans: String(loans.filter(loan => loan.active).length),
+        totalVolume: `${this.compact.format(sum(funded, 'totalRepaid'))} CTC`,
+        repaymentRate: repaid + defaulted > 0 ? `${(repaid / (repaid + defaulted) * 100).toFixed(1)}%` : '—'
+      };
+      Object.keys(values).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = values[id];
+      });
+    }
+  };
+
+  // --- Loan Feed Module ---
+  // Feeds the marketplace, dashboards and stats from the event-driven loan store
+  modules.LoanFeed = {
+    address: null,
+    status: 'idle',
+    synced: false,
+
+    init() {
+      subscribeLoans(update => this.apply(update));
+      startLoanStore().catch(err => console.error('Loan store failed to start', err));
+    },
+
+    apply({ loans, changed, events, failed, status }) {
+      if (failed.length > 0) {
+        modules.Toast.show(`${failed.length} loan${failed.length > 1 ? 's' : ''} could not be loaded – retrying`, 'error');
+      }
+      if (status !== this.status) {
+        if (status === 'reconnecting') {
+          modules.Toast.show('Lost connection to the chain – retrying', 'error');
+        } else if (status === 'live' && this.status === 'reconnecting') {
+          modules.Toast.show('Reconnected – caught up on missed loan activity', 'info');
+        }
+        this.status = status;
+      }
+
+      // The first live update covers an empty backfill too
+      const firstSync = status === 'live' && !this.synced;
+      if (changed.length === 0 && !firstSync) return;
+      this.synced = this.synced || status === 'live';
+
+      const touched = loans.filter(loan => changed.includes(loan.id));
+      modules.LoanSystem.forgetCredit(touched);
+      modules.LoanSystem.render();
+      modules.Stats.update(loans);
+
+      if (!this.address) return;
+      const address = this.address.toLowerCase();
+      if (touched.some(loan => loan.borrower.toLowerCase() === address)) {
+        modules.BorrowerLoans.render(this.address);
+      }
+      // Funding mints notes, and any change to a held loan shows on its note
+      if (events.some(event => event.name === 'LoanFunded') || changed.some(id => modules.Portfolio.loanIds.has(id))) {
+        modules.Portfolio.render(this.address);
+      }
     }
   };
 
   // --- Loan Context Module ---
+  // Lender marketplace: open loan requests read from chain
   modules.LoanSystem = {
     container: null,
+    renderId: 0,
+    credit: new Map(), // `${borrower}:${asset}` -> credit history
 
     init() {
       this.container = document.getElementById('loanContainer');
@@ -313,17 +386,76 @@
       this.render();
     },
 
-    render(notify = false) {
-      // Wipe existing cards cleanly (no innerHTML)
+    clear() {
       while (this.container.firstChild) {
         this.container.removeChild(this.container.firstChild);
       }
+    },
 
-      const loans = [
-        { biz: 'Nexus BioHealth', amt: '142,500', rate: '5.2', term: '24' },
-        { biz: 'SolarStream Energy', amt: '98,000', rate: '4.8', term: '18' },
-        { biz: 'Veritas Logistics', amt: '215,000', rate: '6.5', term: '36' }
-      ];
+    placeholder(text) {
+      this.clear();
+      const el = document.createElement('div');
+      el.className = 'loan-placeholder';
+      el.textContent = text;
+      this.container.appendChild(el);
+    },
+
+    render(notify = false) {
+      if (!this.container) return;
+      // Only the latest render may draw; an earlier, slower load is discarded
+      const renderId = ++this.renderId;
+
+      if (!this.container.querySelector('.loan-card')) this.placeholder('Loading available loans…');
+
+      startLoanStore()
+        .then(() => notify && refreshLoanStore())
+        .then(() => {
+          // Cancelled requests stay listed under a badge so lenders see why they vanished from
+          // funding; expired ones are simply hidden
+          return getStoredLoans().filter(loan => loan.status === 'open' || loan.status === 'cancelled');
+        })
+        .then(loans => {
+          if (renderId !== this.renderId) return;
+          if (loans.length === 0) {
+            this.placeholder('No open loan requests right now. Check back soon.');
+            return;
+          }
+          this.draw(loans);
+          if (notify) modules.Toast.show('Loan marketplace refreshed from chain', 'info');
+        })
+        .catch(err => {
+          if (renderId !== this.renderId) return;
+          // Without a wallet, reads depend on the public RPC endpoints being reachable
+          this.placeholder(window.ethereum
+            ? 'Could not load loan requests. Try refreshing.'
+            : 'Could not reach Creditcoin. Try refreshing, or install a wallet such as MetaMask.');
+          modules.Toast.show('Failed to load loans: ' + (err.message || err), 'error');
+        });
+    },
+
+    // Credit histories are cached per borrower until one of their loans changes
+    creditOf(loan) {
+      const key = `${loan.borrower}:${loan.asset}`;
+      if (!this.credit.has(key)) {
+        this.credit.set(key, getCreditHistory(loan.borrower, loan.asset).catch(() => {
+          this.credit.delete(key);
+          return null;
+        }));
+      }
+      return this.credit.get(key);
+    },
+
+    forgetCredit(loans) {
+      loans.forEach(loan => this.credit.delete(`${loan.borrower}:${loan.asset}`));
+    },
+
+    draw(loans) {
+      // Keep amounts a lender has typed across live re-renders
+      const typed = new Map();
+      this.container.querySelectorAll('.fund-amount').forEach(input => {
+        if (input.value !== input.defaultValue) typed.set(input.dataset.loanId, input.value);
+      });
+      this.clear();
 
       // Force browser reflow before inserting new cards so
       // CSS @keyframes cardEntrance always replays on refresh
@@ -336,17 +468,25 @@
         card.style.animationDelay = `${idx * 0.09}s`;
 
         const h3 = document.createElement('h3');
-        h3.textContent = data.biz;
+        h3.textContent = `Loan #${data.id}`;
         card.appendChild(h3);
 
         const meta = document.createElement('div');
         meta.className = 'loan-meta';
 
         const details = [
-          `Amount: $${data.amt}`,
-          `Share: ${data.rate}%`,
-          `Duration: ${data.term}m`
+          `Principal: ${data.principal}`,
+          `Cap: ${data.repaymentCapPercent}%`,
+          `Share: ${data.revenueSharePercent}%`,
+          `Duration: ${modules.LoanDetail.days(data.duration)} days`,
+          `Collateral: ${data.collateralAmount}`
         ];
+        if (parseFloat(data.totalCommitted) > 0) {
+          details.push(`Committed: ${data.totalCommitted} of ${data.principal}`);
+        }
+        details.push(`Fees: ${data.originationFeeBps / 100}% / ${data.servicingFeeBps / 100}%`);
+        const expires = new Date(Number(data.fundingDeadline) * 1000);
+        details.push(`Fund by: ${expires.toLocaleDateString()}`);
 
         details.forEach(txt => {
           const s = document.createElement('span');
@@ -355,23 +495,664 @@
         });
 
         card.appendChild(meta);
+        this.showReputation(meta, data);
+
+        // Cancelled requests are drawn with a status badge and a disabled Fund button
+        const status = data.status;
+        if (status !== 'open') {
+          const badge = document.createElement('span');
+          badge.className = `loan-status loan-status-${status}`;
+          badge.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+          card.appendChild(badge);
+        }
+
+        // Pre-filled with the unfilled principal; lenders may commit any part of it
+        const actions = document.createElement('div');
+        actions.className = 'fund-actions';
+
+        const amountInput = document.createElement('input');
+        amountInput.type = 'number';
+        amountInput.className = 'fund-amount';
+        amountInput.min = '0';
+        amountInput.step = 'any';
+        amountInput.placeholder = 'Amount';
+        amountInput.defaultValue = data.unfilledPrincipal;
+        amountInput.dataset.loanId = data.id;
+        if (typed.has(data.id)) amountInput.value = typed.get(data.id);
+        amountInput.setAttribute('aria-label', 'Amount to commit');
+        amountInput.disabled = status !== 'open';
+        actions.appendChild(amountInput);
 
         const btn = document.createElement('button');
         // fund-btn gives premium gradient + glow; no btn-secondary needed
         btn.className = 'fund-btn';
         btn.textContent = 'Fund Loan';
         btn.setAttribute('type', 'button');
-        card.appendChild(btn);
+        btn.disabled = status !== 'open';
+        btn.dataset.loanId = data.id;
+        actions.appendChild(btn);
+
+        card.appendChild(actions);
 
         frag.appendChild(card);
       });
 
       // Single DOM mutation – insert all cards together
       this.container.appendChild(frag);
+    },
+
+    // Cards draw straight away; each borrower's badge follows once their history is read
+    showReputation(meta, loan) {
+      this.creditOf(loan).then(credit => {
+        // Skip cards a newer render has already replaced
+        if (!credit || !meta.isConnected) return;
+        const { tier, label } = this.reputationBadge(credit);
+        const rep = document.createElement('span');
+        rep.className = `reputation-badge reputation-${tier}`;
+        rep.textContent = label;
+        const avgDays = modules.LoanDetail.days(credit.averageRepaymentTime);
+        rep.title = `${credit.loansRepaid} repaid · ${credit.defaults} defaulted · ${credit.loansTaken} taken · ` +
+          `${credit.totalVolume} borrowed` + (credit.loansRepaid > 0 ? ` · repaid in ${avgDays} days on average` : '');
+        meta.after(rep);
+      });
+    },
+
+    // Summarise a borrower's credit history (see getCreditHistory) for lenders at a glance
+    reputationBadge(credit) {
+      if (credit.defaults > 0) return { tier: 'risk', label: `${credit.defaults} default${credit.defaults > 1 ? 's' : ''}` };
+      if (credit.loansRepaid >= 3) return { tier: 'trusted', label: `Trusted · ${credit.loansRepaid} repaid` };
+      if (credit.loansRepaid > 0) return { tier: 'good', label: `Good standing · ${credit.loansRepaid} repaid` };
+      return { tier: 'new', label: 'New borrower' };
+    },
+
+    handleFund(btn) {
+      const input = btn.parentElement.querySelector('.fund-amount');
+      const amount = input ? input.value.trim() : '';
+      if (!amount || !(parseFloat(amount) > 0)) {
+        modules.Toast.show('Enter an amount to commit', 'error');
+        return;
+      }
+
+      if (!isWalletConnected()) {
+        modules.Toast.show('Connect your wallet to fund a loan', 'error');
+        return;
+      }
+
+      const loanId = btn.dataset.loanId;
+      const label = btn.textContent;
+      btn.disabled = true;
+      input.disabled = true;
+      btn.textContent = 'Funding…';
+      modules.Toast.show(`Funding loan #${loanId}… confirm in your wallet`, 'info');
+      fundLoan(loanId, amount)
+        .then(() => {
+          modules.Toast.show(`Committed ${amount} to loan #${loanId}`, 'success');
+          return refreshLoanStore().then(() => this.render());
+        })
+        .catch(err => {
+          modules.Toast.show('Funding failed: ' + (err.message || err), 'error');
+          btn.disabled = false;
+          input.disabled = false;
+          btn.textContent = label;
+        });
+    }
+  };
 
-      if (notify) {
-        modules.Toast.show('Loan marketplace refreshed from chain', 'info');
+  // --- Portfolio Module ---
+  // Lists the transferable loan notes (lender positions) held by the connected wallet
+  modules.Portfolio = {
+    container: null,
+    loanIds: new Set(), // loans behind the notes on display
+
+    init() {
+      this.container = document.getElementById('notePortfolio');
+    },
+
+    render(address) {
+      if (!this.container) return;
+
+      getHeldNotes(address)
+        .then(notes => {
+          this.loanIds = new Set(notes.map(({ loan }) => loan.id));
+          while (this.container.firstChild) {
+            this.container.removeChild(this.container.firstChild);
+          }
+
+          if (notes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'loan-placeholder';
+            empty.textContent = 'You do not hold any loan notes yet.';
+            this.container.appendChild(empty);
+            return;
+          }
+
+          const frag = document.createDocumentFragment();
+          notes.forEach(({ noteId, principal, loan }) => {
+            const card = document.createElement('article');
+            card.className = 'loan-card';
+
+            const h3 = document.createElement('h3');
+            h3.textContent = `Note #${noteId} · Loan #${loan.id}`;
+            card.appendChild(h3);
+
+            const meta = document.createElement('div');
+            meta.className = 'loan-meta';
+            [
+              `Position: ${principal} of ${loan.principal}`,
+              `Share: ${loan.revenueSharePercent}%`,
+              `Repaid: ${loan.totalRepaid}`
+            ].forEach(txt => {
+              const s = document.createElement('span');
+              s.textContent = txt;
+              meta.appendChild(s);
+            });
+            card.appendChild(meta);
+
+            const badge = document.createElement('span');
+            badge.className = `loan-status loan-status-${loan.status}`;
+            badge.textContent = loan.status.charAt(0).toUpperCase() + loan.status.slice(1);
+            card.appendChild(badge);
+
+            const details = document.createElement('button');
+            details.className = 'btn-secondary detail-btn';
+            details.type = 'button';
+            details.textContent = 'View details';
+            details.dataset.loanId = loan.id;
+            card.appendChild(details);
+
+            // Positions of active loans can be sold on the note market
+            if (loan.status === 'active') {
+              const actions = document.createElement('div');
+              actions.className = 'fund-actions';
+
+              const priceInput = document.createElement('input');
+              priceInput.type = 'number';
+              priceInput.className = 'fund-amount list-price';
+              priceInput.min = '0';
+              priceInput.step = 'any';
+              priceInput.placeholder = 'Asking price';
+              priceInput.setAttribute('aria-label', `Asking price for note #${noteId}`);
+              actions.appendChild(priceInput);
+
+              const list = document.createElement('button');
+              list.className = 'btn-secondary list-btn';
+              list.type = 'button';
+              list.textContent = 'List for sale';
+              list.dataset.noteId = noteId;
+              actions.appendChild(list);
+
+              card.appendChild(actions);
+            }
+
+            frag.appendChild(card);
+          });
+          this.container.appendChild(frag);
+        })
+        .catch(err => modules.Toast.show('Failed to load loan notes: ' + (err.message || err), 'error'));
+    }
+  };
+
+  // --- Position Market Module ---
+  // "Positions for sale" tab: loan notes listed on the secondary market
+  modules.PositionMarket = {
+    container: null,
+    address: null,
+
+    init() {
+      this.container = document.getElementById('positionsForSale');
+    },
+
+    // Switch the lender dashboard between loan requests and positions for sale
+    showTab(tab) {
+      document.querySelectorAll('.market-tab').forEach(btn => {
+        const selected = btn.dataset.tab === tab;
+        btn.classList.toggle('active', selected);
+        btn.setAttribute('aria-selected', String(selected));
+      });
+      document.querySelectorAll('.market-panel').forEach(panel => {
+        panel.hidden = panel.id !== tab;
+      });
+      if (tab === 'positionsTab') this.render(this.address);
+    },
+
+    render(address) {
+      if (!this.container) return;
+      this.address = address || this.address;
+
+      getListedPositions()
+        .then(positions => {
+          while (this.container.firstChild) {
+            this.container.removeChild(this.container.firstChild);
+          }
+
+          if (positions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'loan-placeholder';
+            empty.textContent = 'No positions are for sale right now.';
+            this.container.appendChild(empty);
+            return;
+          }
+
+          const frag = document.createDocumentFragment();
+          positions.forEach(p => {
+            const card = document.createElement('article');
+            card.className = 'loan-card';
+
+            const h3 = document.createElement('h3');
+            h3.textContent = `Note #${p.noteId} · Loan #${p.loan.id}`;
+            card.appendChild(h3);
+
+            const meta = document.createElement('div');
+            meta.className = 'loan-meta';
+            [
+              `Price: ${p.price}`,
+              `Remaining obligation: ${p.remainingObligation}`,
+              `Matures in: ${modules.LoanDetail.days(p.timeToMaturity)} days`,
+              `Implied yield: ${p.impliedYieldPercent === null ? '—' : p.impliedYieldPercent.toFixed(1) + '% APR'}`,
+              `Position: ${p.position} of ${p.loan.principal}`
+            ].forEach(txt => {
+              const s = document.createElement('span');
+              s.textContent = txt;
+              meta.appendChild(s);
+            });
+            card.appendChild(meta);
+
+            const own = this.address && p.seller.toLowerCase() === this.address.toLowerCase();
+            const btn = document.createElement('button');
+            btn.className = own ? 'btn-secondary delist-btn' : 'fund-btn buy-position-btn';
+            btn.type = 'button';
+            btn.textContent = own ? 'Cancel listing' : 'Buy position';
+            btn.dataset.noteId = p.noteId;
+            btn.dataset.price = p.price;
+            card.appendChild(btn);
+
+            frag.appendChild(card);
+          });
+          this.container.appendChild(frag);
+        })
+        .catch(err => modules.Toast.show('Failed to load positions for sale: ' + (err.message || err), 'error'));
+    },
+
+    handleList(btn) {
+      const input = btn.parentElement.querySelector('.list-price');
+      const price = input ? input.value.trim() : '';
+      if (!price || !(parseFloat(price) > 0)) {
+        modules.Toast.show('Enter an asking price', 'error');
+        return;
       }
+
+      const noteId = btn.dataset.noteId;
+      btn.disabled = true;
+      listPosition(noteId, price)
+        .then(() => {
+          modules.Toast.show(`Note #${noteId} listed for ${price}`, 'success');
+          input.value = '';
+          this.render(this.address);
+        })
+        .catch(err => modules.Toast.show('Listing failed: ' + (err.message || err), 'error'))
+        .finally(() => { btn.disabled = false; });
+    },
+
+    handleBuy(btn) {
+      const noteId = btn.dataset.noteId;
+      btn.disabled = true;
+      buyPosition(noteId, btn.dataset.price)
+        .then(() => {
+          modules.Toast.show(`Bought note #${noteId}`, 'success');
+          this.render(this.address);
+          if (this.address) modules.Portfolio.render(this.address);
+        })
+        .catch(err => {
+          modules.Toast.show('Purchase failed: ' + (err.message || err), 'error');
+          btn.disabled = false;
+        });
+    },
+
+    handleCancel(btn) {
+      const noteId = btn.dataset.noteId;
+      btn.disabled = true;
+      cancelPositionListing(noteId)
+        .then(() => {
+          modules.Toast.show(`Listing for note #${noteId} cancelled`, 'success');
+          this.render(this.address);
+        })
+        .catch(err => {
+          modules.Toast.show('Cancelling failed: ' + (err.message || err), 'error');
+          btn.disabled = false;
+        });
+    }
+  };
+
+  // --- Borrower Loans Module ---
+  // Lists the connected wallet's own loans with the payment address (splitter) of each
+  modules.BorrowerLoans = {
+    container: null,
+    address: null,
+
+    init() {
+      this.container = document.getElementById('borrowerLoans');
+    },
+
+    render(address) {
+      if (!this.container) return;
+      this.address = address;
+
+      startLoanStore()
+        .then(() => getStoredLoans().filter(loan => loan.borrower.toLowerCase() === address.toLowerCase()))
+        .then(loans => Promise.all(loans.map(loan =>
+          getSplitter(loan.id).then(splitter => ({ loan, splitter }))
+        )))
+        .then(entries => {
+          while (this.container.firstChild) {
+            this.container.removeChild(this.container.firstChild);
+          }
+
+          if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'loan-placeholder';
+            empty.textContent = 'You have not requested any loans yet.';
+            this.container.appendChild(empty);
+            return;
+          }
+
+          const frag = document.createDocumentFragment();
+          entries.forEach(({ loan, splitter }) => {
+            const card = document.createElement('article');
+            card.className = 'loan-card';
+
+            const h3 = document.createElement('h3');
+            h3.textContent = `Loan #${loan.id}`;
+            card.appendChild(h3);
+
+            const meta = document.createElement('div');
+            meta.className = 'loan-meta';
+            const details = [
+              `Principal: ${loan.principal}`,
+              `Share: ${loan.revenueSharePercent}%`,
+              `Repaid: ${loan.totalRepaid}`
+            ];
+            if (splitter && splitter.connected) details.push(`Payment address: ${splitter.address}`);
+            details.forEach(txt => {
+              const s = document.createElement('span');
+              s.textContent = txt;
+              meta.appendChild(s);
+            });
+            card.appendChild(meta);
+
+            const badge = document.createElement('span');
+            badge.className = `loan-status loan-status-${loan.status}`;
+            badge.textContent = loan.status.charAt(0).toUpperCase() + loan.status.slice(1);
+            card.appendChild(badge);
+
+            // Customer payments to the splitter repay the revenue share automatically
+            const live = loan.status === 'open' || loan.status === 'active';
+            if (live && !(splitter && splitter.connected)) {
+              const btn = document.createElement('button');
+              btn.className = 'btn-secondary splitter-btn';
+              btn.type = 'button';
+              btn.textContent = 'Create payment address';
+              btn.title = 'Deploy a revenue splitter that repays the lender share of every payment';
+              btn.dataset.loanId = loan.id;
+              card.appendChild(btn);
+            }
+
+            frag.appendChild(card);
+          });
+          this.container.appendChild(frag);
+        })
+        .catch(err => modules.Toast.show('Failed to load your loans: ' + (err.message || err), 'error'));
+    },
+
+    handleCreateSplitter(btn) {
+      const loanId = btn.dataset.loanId;
+      btn.disabled = true;
+      modules.Toast.show('Setting up payment address…', 'info');
+      createSplitter(loanId)
+        .then(address => {
+          modules.Toast.show(`Loan #${loanId} payment address: ${address}`, 'success');
+          this.render(this.address);
+        })
+        .catch(err => {
+          modules.Toast.show('Payment address setup failed: ' + (err.message || err), 'error');
+          btn.disabled = false;
+        });
+    }
+  };
+
+  // --- Vault Panel Module ---
+  // Pooled lending: deposit into the ERC-4626 vault, which funds loans by the curator's policy
+  modules.VaultPanel = {
+    stats: null,
+    input: null,
+    address: null,
+
+    init() {
+      this.stats = document.getElementById('vaultStats');
+      this.input = document.getElementById('vaultAmount');
+    },
+
+    render(address) {
+      if (!this.stats) return;
+      this.address = address;
+
+      getVaultPosition(address)
+        .then(vault => {
+          while (this.stats.firstChild) {
+            this.stats.removeChild(this.stats.firstChild);
+          }
+          [
+            `Vault assets: ${vault.totalAssets}`,
+            `Share price: ${vault.sharePrice}`,
+            `Your deposit: ${vault.assets}`,
+            `Withdrawable now: ${vault.maxWithdraw}`
+          ].forEach(txt => {
+            const s = document.createElement('span');
+            s.textContent = txt;
+            this.stats.appendChild(s);
+          });
+        })
+        .catch(err => modules.Toast.show('Failed to load vault: ' + (err.message || err), 'error'));
+    },
+
+    handle(btn, action) {
+      const amount = this.input ? this.input.value.trim() : '';
+      if (!amount || !(parseFloat(amount) > 0)) {
+        modules.Toast.show('Enter an amount', 'error');
+        return;
+      }
+
+      const deposit = action === 'deposit';
+      btn.disabled = true;
+      (deposit ? depositToVault(amount) : withdrawFromVault(amount))
+        .then(() => {
+          modules.Toast.show(`${deposit ? 'Deposited' : 'Withdrew'} ${amount}`, 'success');
+          this.input.value = '';
+          this.render(this.address);
+        })
+        .catch(err => modules.Toast.show(`${deposit ? 'Deposit' : 'Withdrawal'} failed: ` + (err.message || err), 'error'))
+        .finally(() => { btn.disabled = false; });
+    }
+  };
+
+  // --- Loan Detail Module ---
+  // Terms of one loan and its amendment history; parties can propose and accept new terms
+  modules.LoanDetail = {
+    container: null,
+    loanId: null,
+
+    init() {
+      this.container = document.getElementById('loanDetail');
+    },
+
+    open(loanId) {
+      if (!this.container) return;
+      this.loanId = loanId;
+
+      Promise.all([getLoan(loanId), getAmendments(loanId)])
+        .then(([loan, amendments]) => {
+          this.render(loan, amendments);
+          this.container.hidden = false;
+          this.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        })
+        .catch(err => modules.Toast.show('Failed to load loan: ' + (err.message || err), 'error'));
+    },
+
+    close() {
+      if (!this.container) return;
+      this.container.hidden = true;
+      this.loanId = null;
+    },
+
+    render(loan, { pending, history }) {
+      while (this.container.firstChild) {
+        this.container.removeChild(this.container.firstChild);
+      }
+
+      const header = document.createElement('div');
+      header.className = 'loan-detail-header';
+      const h3 = document.createElement('h3');
+      h3.textContent = `Loan #${loan.id}`;
+      header.appendChild(h3);
+      const close = document.createElement('button');
+      close.id = 'closeLoanDetail';
+      close.className = 'btn-secondary';
+      close.type = 'button';
+      close.setAttribute('aria-label', 'Close loan details');
+      close.textContent = '×';
+      header.appendChild(close);
+      this.container.appendChild(header);
+
+      const meta = document.createElement('div');
+      meta.className = 'loan-meta';
+      const terms = [
+        `Principal: ${loan.principal}`,
+        `Share: ${loan.revenueSharePercent}%`,
+        `Repayment cap: ${loan.repaymentCapPercent}%`,
+        `Duration: ${this.days(loan.duration)} days`,
+        `Repaid: ${loan.totalRepaid}`
+      ];
+      if (loan.nextDueDate !== '0') {
+        terms.push(`Next due: ${new Date(Number(loan.nextDueDate) * 1000).toLocaleDateString()}`);
+      }
+      terms.forEach(txt => {
+        const s = document.createElement('span');
+        s.textContent = txt;
+        meta.appendChild(s);
+      });
+      this.container.appendChild(meta);
+
+      // The proposal waiting for acceptances, if any
+      if (pending) {
+        const box = document.createElement('div');
+        box.className = 'amendment-pending';
+        const text = document.createElement('p');
+        text.textContent = `Proposed by ${pending.proposer.slice(0, 6)}…${pending.proposer.slice(-4)}: ` +
+          `${this.describe(pending)} · accepted by ${pending.acceptedBy.length}`;
+        box.appendChild(text);
+        const accept = document.createElement('button');
+        accept.className = 'fund-btn amend-accept-btn';
+        accept.type = 'button';
+        accept.textContent = 'Accept terms';
+        accept.dataset.amendmentId = pending.amendmentId;
+        box.appendChild(accept);
+        this.container.appendChild(box);
+      }
+
+      // Either party may put new terms forward while the loan is running
+      if (loan.status === 'active') {
+        const form = document.createElement('div');
+        form.className = 'fund-actions';
+        [
+          ['amend-duration', 'New duration (days)', this.days(loan.duration)],
+          ['amend-cap', 'New repayment cap (%)', loan.repaymentCapPercent]
+        ].forEach(([cls, label, value]) => {
+          const input = document.createElement('input');
+          input.type = 'number';
+          input.className = `fund-amount ${cls}`;
+          input.min = '1';
+          input.step = 'any';
+          input.value = value;
+          input.setAttribute('aria-label', label);
+          input.title = label;
+          form.appendChild(input);
+        });
+        const propose = document.createElement('button');
+        propose.className = 'fund-btn amend-propose-btn';
+        propose.type = 'button';
+        propose.textContent = 'Propose new terms';
+        form.appendChild(propose);
+        this.container.appendChild(form);
+      }
+
+      const h4 = document.createElement('h4');
+      h4.textContent = 'Amendment history';
+      this.container.appendChild(h4);
+
+      if (history.length === 0) {
+        const none = document.createElement('p');
+        none.className = 'form-footnote';
+        none.textContent = 'These are the original terms; no amendments have been proposed.';
+        this.container.appendChild(none);
+        return;
+      }
+
+      const list = document.createElement('ol');
+      list.className = 'amendment-history';
+      history.forEach(entry => {
+        const li = document.createElement('li');
+        const outcome = entry.applied ? 'Applied' : entry === pending ? 'Pending' : 'Superseded';
+        li.textContent = `#${entry.amendmentId} · ${this.describe(entry)} · ${outcome}`;
+        list.appendChild(li);
+      });
+      this.container.appendChild(list);
+    },
+
+    days(seconds) {
+      return Math.round(Number(seconds) / 86400 * 100) / 100;
+    },
+
+    describe(amendment) {
+      const { schedule } = amendment;
+      let text = `${this.days(amendment.durationSeconds)} days · ${amendment.repaymentCapPercent}% cap`;
+      if (schedule.periodSeconds !== '0') {
+        const installment = schedule.installmentPercent !== '0'
+          ? `${schedule.installmentPercent}% of cap`
+          : schedule.installmentEth;
+        text += ` · ${installment} every ${this.days(schedule.periodSeconds)} days`;
+      }
+      return text;
+    },
+
+    handlePropose(btn) {
+      const form = btn.parentElement;
+      const days = parseFloat(form.querySelector('.amend-duration').value);
+      const cap = parseInt(form.querySelector('.amend-cap').value, 10);
+      if (!(days > 0) || !(cap >= 100)) {
+        modules.Toast.show('Enter a duration and a cap of at least 100%', 'error');
+        return;
+      }
+
+      const loanId = this.loanId;
+      btn.disabled = true;
+      proposeAmendment(loanId, { durationSeconds: Math.round(days * 86400), repaymentCapPercent: cap })
+        .then(() => {
+          modules.Toast.show(`Proposed new terms for loan #${loanId}`, 'success');
+          this.open(loanId);
+        })
+        .catch(err => modules.Toast.show('Proposal failed: ' + (err.message || err), 'error'))
+        .finally(() => { btn.disabled = false; });
+    },
+
+    handleAccept(btn) {
+      const loanId = this.loanId;
+      btn.disabled = true;
+      acceptAmendment(loanId, btn.dataset.amendmentId)
+        .then(() => {
+          modules.Toast.show(`Accepted new terms for loan #${loanId}`, 'success');
+          this.open(loanId);
+        })
+        .catch(err => modules.Toast.show('Acceptance failed: ' + (err.message || err), 'error'))
+        .finally(() => { btn.disabled = false; });
     }
   };
 
@@ -379,6 +1160,8 @@
   modules.BorrowForm = {
     form: null,
     inputs: {},
+    quote: null,
+    feeRates: null,
 
     init() {
       this.form = document.getElementById('borrowForm');
@@ -387,12 +1170,44 @@
       this.inputs = {
         amount: document.getElementById('loanAmount'),
         share: document.getElementById('revenueShare'),
+        cap: document.getElementById('repaymentCap'),
+        collateral: document.getElementById('collateral'),
         duration: document.getElementById('duration')
       };
+
+      this.quote = document.getElementById('feeQuote');
+      this.inputs.amount.addEventListener('input', () => this.renderFeeQuote());
+    },
+
+    // Fee rates are locked into each loan at creation, so quote the current ones
+    loadFeeRates() {
+      return getFeeRates()
+        .then(rates => {
+          this.feeRates = rates;
+          this.renderFeeQuote();
+        })
+        .catch(() => { /* no provider yet – the quote stays hidden */ });
+    },
+
+    renderFeeQuote() {
+      if (!this.quote || !this.feeRates) return;
+      const { originationFeeBps, servicingFeeBps } = this.feeRates;
+
+      let text = `Protocol fees: ${originationFeeBps / 100}% origination (deducted at funding) · ` +
+        `${servicingFeeBps / 100}% servicing on each repayment`;
+      const amount = parseFloat(this.inputs.amount.value);
+      if (amount > 0) {
+        const net = amount * (1 - originationFeeBps / 10000);
+        text += ` · You receive ≈ ${net.toLocaleString(undefined, { maximumFractionDigits: 4 })} CTC`;
+      }
+
+      this.quote.textContent = text;
+      this.quote.hidden = false;
     },
 
     validate() {
-      if (!this.form || !this.inputs.amount || !this.inputs.share || !this.inputs.duration) {
+      const { amount, share, cap, collateral, duration } = this.inputs;
+      if (!this.form || !amount || !share || !cap || !collateral || !duration) {
         return false;
       }
 
@@ -402,21 +1217,38 @@
 
       let valid = true;
 
-      const amtVal = parseFloat(this.inputs.amount.value);
-      if (isNaN(amtVal) || amtVal < 1000) {
-        this.setError(this.inputs.amount, 'Min funding: $1,000');
+      // Mirrors the contract's checks so requests fail here rather than on-chain
+      const amtVal = parseFloat(amount.value);
+      if (isNaN(amtVal) || amtVal <= 0) {
+        this.setError(amount, 'Enter an amount above 0');
+        valid = false;
+      }
+
+      // The contract takes whole percentages
+      const shareVal = Number(share.value);
+      if (!Number.isInteger(shareVal) || shareVal < 1 || shareVal > 30) {
+        this.setError(share, 'Whole number: 1% - 30%');
+        valid = false;
+      }
+
+      const capVal = Number(cap.value);
+      if (!Number.isInteger(capVal) || capVal < 100) {
+        this.setError(cap, 'Whole number, at least 100%');
         valid = false;
       }
 
-      const shareVal = parseFloat(this.inputs.share.value);
-      if (isNaN(shareVal) || shareVal < 1 || shareVal > 30) {
-        this.setError(this.inputs.share, 'Range: 1% - 30%');
+      const colVal = collateral.value.trim() === '' ? 0 : parseFloat(collateral.value);
+      if (isNaN(colVal) || colVal < 0) {
+        this.setError(collateral, 'Enter 0 or more');
+        valid = false;
+      } else if (!isNaN(amtVal) && colVal > amtVal) {
+        this.setError(collateral, 'Cannot exceed the loan amount');
         valid = false;
       }
 
-      const durVal = parseInt(this.inputs.duration.value, 10);
-      if (isNaN(durVal) || durVal < 3 || durVal > 60) {
-        this.setError(this.inputs.duration, 'Range: 3 - 60 mo');
+      const durVal = Number(duration.value);
+      if (!Number.isInteger(durVal) || durVal < 3 || durVal > 60) {
+        this.setError(duration, 'Range: 3 - 60 mo');
         valid = false;
       }
 
@@ -434,10 +1266,38 @@
     },
 
     handleSubmit() {
-      if (this.validate()) {
-        modules.Toast.show('Liquidity request broadcasted', 'success');
-        this.form.reset();
+      if (!this.validate()) return;
+      if (!isWalletConnected()) {
+        modules.Toast.show('Connect your wallet to create a loan', 'error');
+        return;
       }
+
+      const { amount, share, cap, collateral, duration } = this.inputs;
+      const btn = document.getElementById('createLoan');
+      const label = btn.textContent;
+      btn.disabled = true;
+      btn.textContent = 'Creating…';
+      modules.Toast.show('Creating loan request… confirm in your wallet', 'info');
+
+      createLoan({
+        principalEth: amount.value.trim(),
+        revenueSharePercent: Number(share.value),
+        repaymentCapPercent: Number(cap.value),
+        durationSeconds: Number(duration.value) * SECONDS_PER_MONTH,
+        collateralEth: collateral.value.trim() || '0'
+      })
+        .then(({ loanId }) => {
+          modules.Toast.show(loanId ? `Loan #${loanId} created` : 'Loan request created', 'success');
+          this.form.reset();
+          this.renderFeeQuote();
+          // The loan store picks up LoanCreated and refreshes the marketplace and "Your loans"
+          refreshLoanStore();
+        })
+        .catch(err => modules.Toast.show('Loan creation failed: ' + (err.message || err), 'error'))
+        .finally(() => {
+          btn.disabled = false;
+          btn.textContent = label;
+        });
     }
   };
 
@@ -506,8 +1366,60 @@
           return;
         }
 
+        // Routed by id ahead of the class checks: the deposit button is styled as a fund-btn
+        if (id === 'vaultDeposit' || id === 'vaultWithdraw') {
+          modules.VaultPanel.handle(e.target, id === 'vaultDeposit' ? 'deposit' : 'withdraw');
+          return;
+        }
+
+        if (classes.contains('amend-propose-btn')) {
+          modules.LoanDetail.handlePropose(e.target);
+          return;
+        }
+
+        if (classes.contains('amend-accept-btn')) {
+          modules.LoanDetail.handleAccept(e.target);
+          return;
+        }
+
+        // Ahead of the generic fund-btn branch, whose styling the buy button shares
+        if (classes.contains('list-btn')) {
+          modules.PositionMarket.handleList(e.target);
+          return;
+        }
+
+        if (classes.contains('buy-position-btn')) {
+          modules.PositionMarket.handleBuy(e.target);
+          return;
+        }
+
+        if (classes.contains('delist-btn')) {
+          modules.PositionMarket.handleCancel(e.target);
+          return;
+        }
+
         if (classes.contains('fund-btn')) {
-          modules.Toast.show('Collateral locks initiated', 'success');
+          modules.LoanSystem.handleFund(e.target);
+          return;
+        }
+
+        if (classes.contains('market-tab')) {
+          modules.PositionMarket.showTab(e.target.dataset.tab);
+          return;
+        }
+
+        if (classes.contains('splitter-btn')) {
+          modules.BorrowerLoans.handleCreateSplitter(e.target);
+          return;
+        }
+
+        if (classes.contains('detail-btn')) {
+          modules.LoanDetail.open(e.target.dataset.loanId);
+          return;
+        }
+
+        if (id === 'closeLoanDetail') {
+          modules.LoanDetail.close();
           return;
         }
 
@@ -541,6 +1453,13 @@
               if (btn) btn.textContent = address.slice(0,6) + '...' + address.slice(-4);
               const mobileBtn = document.getElementById('mobileConnectWallet');
               if (mobileBtn) mobileBtn.textContent = address.slice(0,6) + '...' + address.slice(-4);
+              modules.LoanSystem.render();
+              modules.Portfolio.render(address);
+              modules.BorrowerLoans.render(address);
+              modules.VaultPanel.render(address);
+              modules.PositionMarket.address = address;
+              modules.LoanFeed.address = address;
+              modules.BorrowForm.loadFeeRates();
             })
             .catch(err => {
               modules.Toast.show('Failed to connect wallet: ' + (err.message||err), 'error');
@@ -621,7 +1540,13 @@
     modules.Navigation.init();
     modules.Stats.init();
     modules.BorrowForm.init();
+    modules.LoanFeed.init();
     modules.LoanSystem.init();
+    modules.Portfolio.init();
+    modules.BorrowerLoans.init();
+    modules.VaultPanel.init();
+    modules.PositionMarket.init();
+    modules.LoanDetail.init();
     modules.UIController.init();
     modules.ScrollReveal.init();
 
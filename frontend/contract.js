@@ -1,20 +1,134 @@
 // ============================================
 // Attach contract functions to window for global access
-window.getLoan = getLoan;
-window.getAllLoans = getAllLoans;
-window.getNextLoanId = getNextLoanId;
+window.getLoan = withReadFailover(getLoan);
+window.getAllLoans = withReadFailover(getAllLoans);
+window.getLoans = withReadFailover(getLoans);
+window.getNextLoanId = withReadFailover(getNextLoanId);
 window.createLoan = createLoan;
 window.fundLoan = fundLoan;
 window.repayLoan = repayLoan;
+window.getRemainingObligation = withReadFailover(getRemainingObligation);
 window.claimCollateral = claimCollateral;
+window.cancelLoan = cancelLoan;
+window.refundExpiredLoan = refundExpiredLoan;
+window.withdrawCommitment = withdrawCommitment;
+window.getWithdrawable = withReadFailover(getWithdrawable);
+window.getHeldNotes = withReadFailover(getHeldNotes);
+window.getFeeRates = withReadFailover(getFeeRates);
+window.getCreditHistory = withReadFailover(getCreditHistory);
+window.withdrawProtocolFees = withdrawProtocolFees;
+window.getOffer = withReadFailover(getOffer);
+window.postOffer = postOffer;
+window.takeOffer = takeOffer;
+window.withdrawOfferLiquidity = withdrawOfferLiquidity;
+window.getAmendments = withReadFailover(getAmendments);
+window.proposeAmendment = proposeAmendment;
+window.acceptAmendment = acceptAmendment;
+window.getSplitter = withReadFailover(getSplitter);
+window.createSplitter = createSplitter;
+window.getVaultPosition = withReadFailover(getVaultPosition);
+window.depositToVault = depositToVault;
+window.withdrawFromVault = withdrawFromVault;
+window.getListedPositions = withReadFailover(getListedPositions);
+window.listPosition = listPosition;
+window.buyPosition = buyPosition;
+window.cancelPositionListing = cancelPositionListing;
+window.withdrawPayouts = withdrawPayouts;
+window.reportRevenue = reportRevenue;
 window.getCurrentAddress = getCurrentAddress;
+window.isWalletConnected = isWalletConnected;
+window.waitForContract = waitForContract;
+window.startLoanStore = startLoanStore;
+window.subscribeLoans = subscribeLoans;
+window.getStoredLoans = getStoredLoans;
+window.refreshLoanStore = refreshLoanStore;
 // also expose wallet helper so UI can call it directly
 window.connectWallet = connectWallet;
 // ============================================
 // CONFIGURATION (UPDATE THESE)
 // ============================================
 const CONTRACT_ADDRESS = "0xYourDeployedContractAddressHere"; // PASTE DEPLOYED ADDRESS
+const SPLITTER_FACTORY_ADDRESS = "0xYourSplitterFactoryAddressHere"; // PASTE DEPLOYED RevenueSplitterFactory ADDRESS
+const VAULT_ADDRESS = "0xYourLendingVaultAddressHere"; // PASTE DEPLOYED LendingVault ADDRESS
+const NOTE_MARKET_ADDRESS = "0xYourNoteMarketAddressHere"; // PASTE DEPLOYED NoteMarket ADDRESS
+const MULTICALL_ADDRESS = "0xYourMulticallAddressHere"; // PASTE DEPLOYED Multicall ADDRESS
 const EXPECTED_CHAIN_ID = 102031 // Creditcoin testnet chain ID (replace if different)
+// Public JSON-RPC endpoints used for reads when no wallet is installed, tried in order.
+// Only Creditcoin's own testnet endpoint ships by default; a page can list its own (e.g. a
+// keyed provider URL, as fallbacks) by setting window.FLOWCREDIT_RPC_URLS before this
+// script loads.
+const READ_RPC_URLS = window.FLOWCREDIT_RPC_URLS || [
+  "https://rpc.cc3-testnet.creditcoin.network"
+];
+// ethers error codes that are the chain's answer to a read (a revert) or a bad request,
+// rather than a failing endpoint
+const READ_ANSWER_ERRORS = new Set(["CALL_EXCEPTION", "INVALID_ARGUMENT"]);
+const RPC_HEALTH_TIMEOUT_MS = 5000; // How long an endpoint has to answer a health check
+const DEFAULT_FUNDING_WINDOW_SECONDS = 14 * 24 * 60 * 60; // How long a new request stays fundable
+const NATIVE_ASSET = ethers.ZeroAddress; // Loan asset address used for native CTC loans
+const LOAN_PAGE_SIZE = 100; // Loan IDs fetched per enumeration call
+const MULTICALL_BATCH_SIZE = 50; // Loans read per Multicall request (four calls each)
+const MULTICALL_CONCURRENCY = 4; // Multicall requests in flight at once
+const STORE_FROM_BLOCK = 0; // Block the loan store backfills from (set to the deployment block)
+const LOG_BLOCK_RANGE = 5000; // Blocks per eth_getLogs request, within common RPC limits
+const STORE_POLL_MS = 4000; // How often the loan store checks for new blocks
+const STORE_MAX_BACKOFF_MS = 60000; // Longest wait between polls while the provider is unreachable
+
+// Minimal ERC-20 surface needed for token-denominated loans
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+// Enumerable ERC-721 surface of the LoanNote contract deployed by RevenueLoan
+const LOAN_NOTE_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)"
+];
+
+// NoteMarket surface used by the "positions for sale" tab
+const NOTE_MARKET_ABI = [
+  "function getListings(uint256 offset, uint256 limit) view returns (uint256[] noteIds, address[] sellers, uint256[] prices, bool[] live, uint256 total)",
+  "function list(uint256 noteId, uint256 price)",
+  "function buy(uint256 noteId, uint256 price) payable",
+  "function cancelListing(uint256 noteId)",
+  "error NotNoteHolder()",
+  "error LoanNotActive()",
+  "error MarketNotApproved()",
+  "error InvalidPrice()",
+  "error ListingNotActive()",
+  "error ListingStillActive()",
+  "error PriceChanged()",
+  "error IncorrectPayment()",
+  "error CannotBuyOwnListing()"
+];
+
+// RevenueSplitterFactory surface used by the borrower dashboard
+const SPLITTER_FACTORY_ABI = [
+  "function splitterOf(uint256 loanId) view returns (address)",
+  "function createSplitter(uint256 loanId) returns (address)"
+];
+
+// Read-only call aggregator used to load loans in batches
+const MULTICALL_ABI = [
+  "function aggregate((address target, bytes callData)[] calls) view returns ((bool success, bytes returnData)[] results)",
+  "function getBlockTimestamp() view returns (uint256)"
+];
+
+// ERC-4626 surface of the LendingVault used by the lender dashboard
+const VAULT_ABI = [
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function maxWithdraw(address owner) view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)"
+];
 
 // ============================================
 // INTERNAL STATE (MODULE-SCOPED)
@@ -25,6 +139,9 @@ let writeContract = null;
 let readContract = null;
 let contractInterface = null;
 let abi = null;
+let readEndpoint = null; // Public RPC URL in use, or null while reads go through the wallet
+let endpointSwitch = null; // In-flight endpoint selection, shared by reads that fail together
+const assetDecimals = new Map(); // token address -> decimals
 
 // ============================================
 // LOAD ABI AND INITIALIZE READ-ONLY CONTRACT
@@ -47,13 +164,120 @@ async function initContract() {
       provider = new ethers.BrowserProvider(window.ethereum);
       readContract = new ethers.Contract(CONTRACT_ADDRESS, abi, provider);
       console.log("Read contract initialized");
+    } else {
+      // No wallet: browse read-only through a public endpoint until one is connected.
+      // If none answers yet, the next read tries again (see withReadFailover).
+      await failoverReadEndpoint();
     }
   } catch (err) {
     console.error("Initialization failed:", err);
   }
 }
 
-initContract();
+const contractReady = initContract();
+
+/**
+ * Resolves once the ABI has loaded and, if a wallet is present, the read contract is set up.
+ */
+function waitForContract() {
+  return contractReady;
+}
+
+// ============================================
+// PUBLIC RPC FALLBACK (READ-ONLY, NO WALLET)
+// ============================================
+
+/**
+ * Whether a JSON-RPC endpoint answers on EXPECTED_CHAIN_ID within RPC_HEALTH_TIMEOUT_MS.
+ */
+async function isEndpointHealthy(rpcProvider) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("RPC health check timed out")), RPC_HEALTH_TIMEOUT_MS);
+  });
+  try {
+    const [chainId] = await Promise.race([
+      Promise.all([rpcProvider.send("eth_chainId", []), rpcProvider.send("eth_blockNumber", [])]),
+      timeout
+    ]);
+    return Number(chainId) === EXPECTED_CHAIN_ID;
+  } catch (_) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Point reads at the first healthy endpoint in READ_RPC_URLS, starting from `startIndex`
+ * and wrapping around.
+ * @returns {Promise<string>} URL of the endpoint now in use
+ */
+async function useReadEndpoint(startIndex = 0) {
+  for (let i = 0; i < READ_RPC_URLS.length; i++) {
+    const url = READ_RPC_URLS[(startIndex + i) % READ_RPC_URLS.length];
+    const candidate = new ethers.JsonRpcProvider(url, EXPECTED_CHAIN_ID, { staticNetwork: true });
+    if (await isEndpointHealthy(candidate)) {
+      if (readEndpoint) provider.destroy();
+      provider = candidate;
+      readContract = new ethers.Contract(CONTRACT_ADDRESS, abi, provider);
+      readEndpoint = url;
+      console.log("Reading through public RPC:", url);
+      return url;
+    }
+    candidate.destroy();
+  }
+  throw new Error("No public RPC endpoint is reachable.");
+}
+
+/**
+ * After reads fail on `failedEndpoint`, move to the next healthy one (or, when none has
+ * answered yet, the first). Reads failing together share one switch, and a read that failed
+ * on an endpoint already replaced does not switch again. No-op while reads go through the
+ * wallet.
+ * @returns {Promise<string|null>} URL of the endpoint now in use
+ */
+async function failoverReadEndpoint(failedEndpoint = readEndpoint) {
+  if (window.ethereum || !abi) return null;
+  if (!endpointSwitch) {
+    if (failedEndpoint !== readEndpoint) return readEndpoint;
+    const next = readEndpoint ? READ_RPC_URLS.indexOf(readEndpoint) + 1 : 0;
+    endpointSwitch = useReadEndpoint(next).finally(() => { endpointSwitch = null; });
+  }
+  return endpointSwitch;
+}
+
+/**
+ * Whether a read failed because the endpoint did not answer: a network error from fetch, or
+ * any ethers error other than a revert or bad request. Errors from this file's own input
+ * checks carry no code and are not endpoint failures.
+ */
+function isEndpointFailure(err) {
+  if (err instanceof TypeError) return true;
+  return Boolean(err && err.code) && !READ_ANSWER_ERRORS.has(err.code);
+}
+
+/**
+ * Wrap a read so it survives public endpoint outages: without a wallet it first makes sure
+ * an endpoint has been picked, and if the endpoint then fails to answer, reads move to the
+ * next healthy one and the read is tried once more there. Reverts are passed through.
+ * @param {Function} read - Async read function
+ * @returns {Function} The wrapped read
+ */
+function withReadFailover(read) {
+  return async (...args) => {
+    await contractReady;
+    if (!readContract) await failoverReadEndpoint();
+    const endpoint = readEndpoint;
+    try {
+      return await read(...args);
+    } catch (err) {
+      if (!endpoint || !isEndpointFailure(err)) throw err;
+      await failoverReadEndpoint(endpoint);
+      return read(...args);
+    }
+  };
+}
 
 // ============================================
 // DECODE ERROR HELPER
@@ -72,6 +296,37 @@ function decodeError(error) {
   return error.shortMessage || error.message || "Unknown error";
 }
 
+// ============================================
+// LOAN ASSET HELPERS
+// ============================================
+
+/**
+ * Decimals of a loan asset (18 for native CTC). Cached per token.
+ */
+async function getAssetDecimals(asset) {
+  if (!asset || asset === NATIVE_ASSET) return 18;
+  if (!assetDecimals.has(asset)) {
+    const token = new ethers.Contract(asset, ERC20_ABI, provider);
+    assetDecimals.set(asset, Number(await token.decimals()));
+  }
+  return assetDecimals.get(asset);
+}
+
+/**
+ * Approve `spender` (the loan contract by default) to pull `amount` of a token from the
+ * connected wallet if the current allowance is too low. No-op for native CTC.
+ */
+async function ensureAllowance(asset, amount, spender = CONTRACT_ADDRESS) {
+  if (!asset || asset === NATIVE_ASSET || amount === 0n) return;
+  const token = new ethers.Contract(asset, ERC20_ABI, signer);
+  const owner = await signer.getAddress();
+  const current = await token.allowance(owner, spender);
+  if (current < amount) {
+    const tx = await token.approve(spender, amount);
+    await tx.wait();
+  }
+}
+
 // ============================================
 // WALLET CONNECTION
 // ============================================
@@ -93,7 +348,9 @@ async function connectWallet() {
     throw new Error(`Wrong network. Please switch to Creditcoin testnet (chain ID: ${EXPECTED_CHAIN_ID}).`);
   }
 
-  // Update module state
+  // Update module state; reads move off the public endpoint to the wallet from here on
+  if (readEndpoint) provider.destroy();
+  readEndpoint = null;
   provider = tempProvider;
   signer = await provider.getSigner();
   // Re-create readContract with the same provider (still read-only, but now provider is authenticated)
@@ -110,12 +367,15 @@ async function connectWallet() {
 
 // Internal helper to ensure readContract is available
 function ensureReadContract() {
-  if (!readContract) throw new Error("No provider available. Please install MetaMask or connect wallet.");
+  if (!readContract) throw new Error("No provider available. Please install MetaMask or try again later.");
 }
 
 /**
  * Get a single loan by ID.
- * Returns object with exact struct field names, formatted appropriately.
+ * Returns object with exact struct field names, formatted appropriately, plus the
+ * schedule-derived `nextDueDate` (unix seconds, "0" when inactive) and `arrears`, and the
+ * protocol fee rates (in basis points) the loan was created under.
+ * Amounts are formatted in the loan asset's own decimals.
  */
 async function getLoan(loanId) {
   ensureReadContract();
@@ -123,40 +383,478 @@ async function getLoan(loanId) {
     throw new Error("Invalid loan ID.");
   }
 
-  const loan = await readContract.getLoan(loanId);
+  const [[loan, nextDueDate, arrears], fees] = await Promise.all([
+    readContract.getLoan(loanId),
+    readContract.loanFeeRates(loanId)
+  ]);
+  return formatLoan(loanId, loan, nextDueDate, arrears, fees, await getAssetDecimals(loan.asset));
+}
+
+/**
+ * Shape raw contract output for one loan into the object returned by getLoan.
+ * `now` (unix seconds) decides whether an unfunded request has expired.
+ */
+function formatLoan(loanId, loan, nextDueDate, arrears, fees, decimals, now = Math.floor(Date.now() / 1000)) {
   // Loan is returned as a tuple/object with named properties
   return {
+    id: loanId.toString(),
+    status: getLoanStatus(loan, now),
     borrower: loan.borrower,
     lender: loan.lender,
-    principal: ethers.formatEther(loan.principal),
+    principal: ethers.formatUnits(loan.principal, decimals),
     revenueSharePercent: loan.revenueSharePercent.toString(),
     repaymentCapPercent: loan.repaymentCapPercent.toString(),
-    totalRepaid: ethers.formatEther(loan.totalRepaid),
+    totalRepaid: ethers.formatUnits(loan.totalRepaid, decimals),
     funded: loan.funded,
     active: loan.active,
-    collateralAmount: ethers.formatEther(loan.collateralAmount),
+    collateralAmount: ethers.formatUnits(loan.collateralAmount, decimals),
     startTime: loan.startTime.toString(),
-    duration: loan.duration.toString()
+    duration: loan.duration.toString(),
+    totalOwed: ethers.formatUnits(loan.totalOwed, decimals),
+    obligationDueTime: loan.obligationDueTime.toString(),
+    cancelled: loan.cancelled,
+    fundingDeadline: loan.fundingDeadline.toString(),
+    asset: loan.asset,
+    totalCommitted: ethers.formatUnits(loan.totalCommitted, decimals),
+    unfilledPrincipal: ethers.formatUnits(loan.principal - loan.totalCommitted, decimals),
+    nextDueDate: nextDueDate.toString(),
+    arrears: ethers.formatUnits(arrears, decimals),
+    originationFeeBps: fees.originationBps.toString(),
+    servicingFeeBps: fees.servicingBps.toString()
   };
 }
 
 /**
- * Get all loans (from ID 0 to nextLoanId-1).
+ * Derive a display status from the raw struct flags.
+ * Cancelled requests report "cancelled" even once their funding deadline has passed;
+ * other unfunded requests past the deadline report "expired".
+ * @returns {"expired"|"cancelled"|"open"|"active"|"closed"}
  */
-async function getAllLoans() {
+function getLoanStatus(loan, now = Math.floor(Date.now() / 1000)) {
+  if (loan.cancelled) return "cancelled";
+  if (!loan.funded && now > Number(loan.fundingDeadline)) return "expired";
+  if (!loan.funded) return "open";
+  return loan.active ? "active" : "closed";
+}
+
+/**
+ * Get several loans by ID through the Multicall aggregator: MULTICALL_BATCH_SIZE loans per
+ * request, with at most MULTICALL_CONCURRENCY requests in flight. A loan that cannot be read
+ * (e.g. an unknown ID), or every loan of a request that fails outright, is reported in
+ * `failed` instead of failing the rest.
+ * @param {Array<number|string|bigint>} loanIds
+ * @returns {Promise<{loans: Object[], failed: Array<{loanId: string, reason: string}>}>}
+ *   Loans shaped like getLoan, in the order requested
+ */
+async function getLoans(loanIds) {
+  const { records, failed } = await readLoanRecords(loanIds);
+  const now = Math.floor(Date.now() / 1000);
+  return { loans: records.map(record => formatLoanRecord(record, now)), failed };
+}
+
+/**
+ * Read the raw state of several loans (see readLoanBatch), batched as described in getLoans.
+ * @returns {Promise<{records: Object[], failed: Array<{loanId: string, reason: string}>}>}
+ */
+async function readLoanRecords(loanIds) {
   ensureReadContract();
-  const nextId = await readContract.nextLoanId();
-  const loans = [];
-  for (let i = 1; i < nextId; i++) {
-    try {
-      const loan = await getLoan(i);
-      loans.push(loan);
-    } catch (err) {
-      // If a loan fetch fails, skip it or rethrow? For robustness, we skip.
-      console.warn(`Failed to fetch loan ${i}:`, decodeError(err));
+  const batches = [];
+  for (let i = 0; i < loanIds.length; i += MULTICALL_BATCH_SIZE) {
+    batches.push(loanIds.slice(i, i + MULTICALL_BATCH_SIZE));
+  }
+
+  // Each worker takes the next unread batch until none are left
+  const results = new Array(batches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const index = next++;
+      results[index] = await readLoanBatch(batches[index]);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(MULTICALL_CONCURRENCY, batches.length) }, worker));
+
+  return {
+    records: results.flatMap(result => result.records),
+    failed: results.flatMap(result => result.failed)
+  };
+}
+
+// One Multicall aggregate call on the current read provider (see withReadFailover)
+const aggregateReads = withReadFailover(calls =>
+  new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI, provider).aggregate(calls)
+);
+
+const multicallInterface = new ethers.Interface(MULTICALL_ABI);
+
+/**
+ * Read one batch of loans in a single aggregate call. Each loan comes back as a raw record
+ * of its struct, fee rates, schedule and loan clock, together with the block time and pause
+ * state they were read at, from which formatLoanRecord derives the time-dependent fields.
+ */
+async function readLoanBatch(loanIds) {
+  const readCall = (target, iface, name, args = []) => ({ target, callData: iface.encodeFunctionData(name, args) });
+  const calls = [
+    readCall(MULTICALL_ADDRESS, multicallInterface, "getBlockTimestamp"),
+    readCall(CONTRACT_ADDRESS, contractInterface, "paused"),
+    ...loanIds.flatMap(id => ["getLoan", "loanFeeRates", "schedules", "loanClock"]
+      .map(name => readCall(CONTRACT_ADDRESS, contractInterface, name, [id])))
+  ];
+
+  const failAll = reason => ({ records: [], failed: loanIds.map(id => ({ loanId: id.toString(), reason })) });
+  let results;
+  try {
+    results = await aggregateReads(calls);
+  } catch (err) {
+    return failAll(decodeError(err));
   }
-  return loans;
+  const headerFailure = results.slice(0, 2).find(result => !result.success);
+  if (headerFailure) return failAll(decodeError({ data: headerFailure.returnData }));
+  const [readAt] = multicallInterface.decodeFunctionResult("getBlockTimestamp", results[0].returnData);
+  const [paused] = contractInterface.decodeFunctionResult("paused", results[1].returnData);
+
+  const records = [];
+  const failed = [];
+  for (let j = 0; j < loanIds.length; j++) {
+    const loanResults = results.slice(2 + 4 * j, 6 + 4 * j);
+    const reverted = loanResults.find(result => !result.success);
+    if (reverted) {
+      failed.push({ loanId: loanIds[j].toString(), reason: decodeError({ data: reverted.returnData }) });
+      continue;
+    }
+    const [[loan], fees, schedule, [clock]] = ["getLoan", "loanFeeRates", "schedules", "loanClock"]
+      .map((name, k) => contractInterface.decodeFunctionResult(name, loanResults[k].returnData));
+    records.push({
+      id: loanIds[j].toString(),
+      loan,
+      fees,
+      schedule,
+      clock,
+      readAt,
+      paused,
+      decimals: await getAssetDecimals(loan.asset)
+    });
+  }
+  return { records, failed };
+}
+
+/**
+ * Shape a raw loan record from readLoanBatch like getLoan, as of `now` (unix seconds).
+ * Status, next due date and arrears move with the clock, so they are worked out here
+ * rather than read: the due date and arrears the same way the contract's getLoan does,
+ * with the loan clock run forward from when the record was read (it stands still while
+ * the protocol is paused).
+ */
+function formatLoanRecord({ id, loan, fees, schedule, clock, readAt, paused, decimals }, now = Math.floor(Date.now() / 1000)) {
+  let nextDueDate = 0n;
+  let arrears = 0n;
+  if (loan.active) {
+    const timestamp = BigInt(Math.max(now, Number(readAt)));
+    const loanClock = paused ? clock : clock + (timestamp - readAt);
+    const maturity  = loan.startTime + loan.duration;
+    const cap       = loan.principal * loan.repaymentCapPercent / 100n;
+    const installment = schedule.installmentAmount !== 0n
+      ? schedule.installmentAmount
+      : loan.principal * loan.repaymentCapPercent * schedule.installmentPercent / 10000n;
+
+    let next = maturity;
+    let due = 0n;
+    if (loanClock > maturity) {
+      due = cap;
+    } else if (schedule.period !== 0n) {
+      due = (loanClock - loan.startTime) / schedule.period * installment;
+      if (due > cap) due = cap;
+    }
+    if (schedule.period !== 0n && loanClock < maturity) {
+      next = loan.startTime + ((loanClock - loan.startTime) / schedule.period + 1n) * schedule.period;
+      if (next > maturity) next = maturity;
+    }
+    nextDueDate = next + (timestamp - loanClock);
+    arrears = due > loan.totalRepaid ? due - loan.totalRepaid : 0n;
+  }
+  return formatLoan(id, loan, nextDueDate, arrears, fees, decimals, now);
+}
+
+/**
+ * Get all loans (from ID 1 to nextLoanId-1).
+ * @returns {Promise<{loans: Object[], failed: Array<{loanId: string, reason: string}>}>} See getLoans
+ */
+async function getAllLoans() {
+  ensureReadContract();
+  const nextId = Number(await readContract.nextLoanId());
+  const ids = Array.from({ length: nextId - 1 }, (_, i) => i + 1);
+  return getLoans(ids);
+}
+
+/**
+ * Amount still owed before a loan reaches its repayment cap, plus late fees accrued so far,
+ * e.g. to pre-fill "repay in full". Fees keep accruing during the grace window, so the
+ * amount may be slightly higher by the time the repayment is mined.
+ * @param {number|string} loanId
+ * @returns {Promise<string>} Formatted amount in the loan asset's units
+ */
+async function getRemainingObligation(loanId) {
+  ensureReadContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) {
+    throw new Error("Invalid loan ID.");
+  }
+
+  const [[{ asset }], remaining] = await Promise.all([
+    readContract.getLoan(loanId),
+    readContract.remainingObligation(loanId)
+  ]);
+  return ethers.formatUnits(remaining, await getAssetDecimals(asset));
+}
+
+/**
+ * Payouts credited to an account because a direct transfer to it failed.
+ * @param {string} account
+ * @param {string} [asset] - Token address, or omitted for native CTC
+ * @returns {Promise<string>} Formatted amount in the asset's units
+ */
+async function getWithdrawable(account, asset = NATIVE_ASSET) {
+  ensureReadContract();
+  const amount = await readContract.withdrawable(account, asset);
+  return ethers.formatUnits(amount, await getAssetDecimals(asset));
+}
+
+/**
+ * Loan notes (lender positions) held by an account, with the loan each one belongs to.
+ * @param {string} account
+ * @returns {Promise<Array<{noteId: string, principal: string, loan: Object}>>}
+ *   `principal` is the note's share of the loan, formatted in the loan asset's units
+ */
+async function getHeldNotes(account) {
+  ensureReadContract();
+  const noteContract = new ethers.Contract(await readContract.loanNote(), LOAN_NOTE_ABI, provider);
+  const balance = await noteContract.balanceOf(account);
+  const notes = [];
+  for (let i = 0n; i < balance; i++) {
+    const noteId = await noteContract.tokenOfOwnerByIndex(account, i);
+    const [loanId, principal] = await Promise.all([
+      readContract.noteLoanId(noteId),
+      readContract.notePrincipal(noteId)
+    ]);
+    const loan = await getLoan(loanId);
+    notes.push({
+      noteId: noteId.toString(),
+      principal: ethers.formatUnits(principal, await getAssetDecimals(loan.asset)),
+      loan
+    });
+  }
+  return notes;
+}
+
+/**
+ * A borrower's on-chain track record.
+ * @param {string} borrower
+ * @param {string} [asset] - Asset to report borrowed volume in, or omitted for native CTC
+ * @returns {Promise<{loansTaken: number, loansRepaid: number, defaults: number,
+ *   totalVolume: string, averageRepaymentTime: number}>} Average time to repay is in seconds
+ */
+async function getCreditHistory(borrower, asset = NATIVE_ASSET) {
+  ensureReadContract();
+  const [[history, averageRepaymentTime], volume] = await Promise.all([
+    readContract.getCreditHistory(borrower),
+    readContract.borrowedVolume(borrower, asset)
+  ]);
+  return {
+    loansTaken: Number(history.loansTaken),
+    loansRepaid: Number(history.loansRepaid),
+    defaults: Number(history.defaults),
+    totalVolume: ethers.formatUnits(volume, await getAssetDecimals(asset)),
+    averageRepaymentTime: Number(averageRepaymentTime)
+  };
+}
+
+/**
+ * Protocol fee rates that new loans will be created under, in basis points.
+ * @returns {Promise<{originationFeeBps: number, servicingFeeBps: number}>}
+ */
+async function getFeeRates() {
+  ensureReadContract();
+  const rates = await readContract.feeRates();
+  return {
+    originationFeeBps: Number(rates.originationBps),
+    servicingFeeBps: Number(rates.servicingBps)
+  };
+}
+
+/**
+ * Get a standing lender offer by ID.
+ * Amounts are formatted in the offer asset's decimals; the collateral ratio is in basis points.
+ */
+async function getOffer(offerId) {
+  ensureReadContract();
+  if (offerId === undefined || offerId === null || offerId <= 0) {
+    throw new Error("Invalid offer ID.");
+  }
+
+  const offer = await readContract.offers(offerId);
+  if (offer.lender === ethers.ZeroAddress) throw new Error("Offer does not exist.");
+  const decimals = await getAssetDecimals(offer.asset);
+  return {
+    id: offerId.toString(),
+    lender: offer.lender,
+    asset: offer.asset,
+    liquidity: ethers.formatUnits(offer.liquidity, decimals),
+    maxPrincipal: ethers.formatUnits(offer.maxPrincipal, decimals),
+    minRepaymentCapPercent: offer.minRepaymentCapPercent.toString(),
+    maxDuration: offer.maxDuration.toString(),
+    minCollateralRatioBps: offer.minCollateralRatioBps.toString()
+  };
+}
+
+/**
+ * Amendment history of a loan, read from its events, oldest first.
+ * Each entry carries the proposed terms, who proposed and accepted it, and whether it was
+ * applied; `pending` is the proposal still waiting for acceptances, if any.
+ * @param {number|string} loanId
+ * @returns {Promise<{pending: Object|null, history: Array<{amendmentId: string, proposer: string,
+ *   durationSeconds: string, repaymentCapPercent: string, schedule: Object, acceptedBy: string[],
+ *   applied: boolean, blockNumber: number}>}>}
+ */
+async function getAmendments(loanId) {
+  ensureReadContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) {
+    throw new Error("Invalid loan ID.");
+  }
+
+  const [proposed, accepted, applied, [{ asset }], count] = await Promise.all([
+    readContract.queryFilter(readContract.filters.AmendmentProposed(loanId)),
+    readContract.queryFilter(readContract.filters.AmendmentAccepted(loanId)),
+    readContract.queryFilter(readContract.filters.LoanAmended(loanId)),
+    readContract.getLoan(loanId),
+    readContract.amendmentCount(loanId)
+  ]);
+  const decimals = await getAssetDecimals(asset);
+  const appliedIds = new Set(applied.map(e => e.args.amendmentId.toString()));
+
+  const history = proposed.map(({ args, blockNumber }) => {
+    const amendmentId = args.amendmentId.toString();
+    return {
+      amendmentId,
+      proposer: args.proposer,
+      durationSeconds: args.duration.toString(),
+      repaymentCapPercent: args.repaymentCapPercent.toString(),
+      schedule: {
+        periodSeconds: args.schedule.period.toString(),
+        installmentEth: ethers.formatUnits(args.schedule.installmentAmount, decimals),
+        installmentPercent: args.schedule.installmentPercent.toString(),
+        missedPeriodsToDefault: args.schedule.missedPeriodsToDefault.toString()
+      },
+      acceptedBy: accepted
+        .filter(e => e.args.amendmentId.toString() === amendmentId)
+        .map(e => e.args.account),
+      applied: appliedIds.has(amendmentId),
+      blockNumber
+    };
+  });
+
+  // Only the latest proposal can still be accepted
+  const latest = history[history.length - 1];
+  const pending = latest && !latest.applied && latest.amendmentId === count.toString() ? latest : null;
+  return { pending, history };
+}
+
+/**
+ * Payment splitter of a loan, if the borrower has deployed one.
+ * @param {number|string} loanId
+ * @returns {Promise<{address: string, connected: boolean}|null>} `connected` is true once the
+ *   splitter is the loan's repayment agent, i.e. payments to it repay the loan
+ */
+async function getSplitter(loanId) {
+  ensureReadContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) {
+    throw new Error("Invalid loan ID.");
+  }
+
+  const factory = new ethers.Contract(SPLITTER_FACTORY_ADDRESS, SPLITTER_FACTORY_ABI, provider);
+  const [address, agent] = await Promise.all([
+    factory.splitterOf(loanId),
+    readContract.repaymentAgent(loanId)
+  ]);
+  if (address === ethers.ZeroAddress) return null;
+  return { address, connected: agent === address };
+}
+
+/**
+ * Positions currently for sale on the note market, with what a buyer would receive.
+ * `remainingObligation` is the note's share of what the borrower still owes, net of the
+ * servicing fee; `impliedYieldPercent` annualizes its return over the asking price until
+ * maturity (null once matured). Maturity ignores time the protocol spent paused.
+ * @returns {Promise<Array<{noteId: string, seller: string, price: string, position: string,
+ *   remainingObligation: string, timeToMaturity: number, impliedYieldPercent: number|null,
+ *   loan: Object}>>} Amounts in the loan asset's units; time to maturity in seconds
+ */
+async function getListedPositions() {
+  ensureReadContract();
+  const market = new ethers.Contract(NOTE_MARKET_ADDRESS, NOTE_MARKET_ABI, provider);
+  const listings = [];
+  for (let offset = 0n; ; offset += BigInt(LOAN_PAGE_SIZE)) {
+    const [noteIds, sellers, prices, live, total] = await market.getListings(offset, LOAN_PAGE_SIZE);
+    noteIds.forEach((noteId, i) => {
+      if (live[i]) listings.push({ noteId, seller: sellers[i], price: prices[i] });
+    });
+    if (offset + BigInt(LOAN_PAGE_SIZE) >= total) break;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  return Promise.all(listings.map(async ({ noteId, seller, price }) => {
+    const [loanId, position] = await Promise.all([
+      readContract.noteLoanId(noteId),
+      readContract.notePrincipal(noteId)
+    ]);
+    const [[loan], remaining, fees] = await Promise.all([
+      readContract.getLoan(loanId),
+      readContract.remainingObligation(loanId),
+      readContract.loanFeeRates(loanId)
+    ]);
+    const decimals = await getAssetDecimals(loan.asset);
+    const payout = remaining * position / loan.principal * (10000n - fees.servicingBps) / 10000n;
+    const timeToMaturity = Math.max(0, Number(loan.startTime + loan.duration) - now);
+    const gain = Number(payout - price) / Number(price);
+    return {
+      noteId: noteId.toString(),
+      seller,
+      price: ethers.formatUnits(price, decimals),
+      position: ethers.formatUnits(position, decimals),
+      remainingObligation: ethers.formatUnits(payout, decimals),
+      timeToMaturity,
+      impliedYieldPercent: timeToMaturity > 0 ? gain * (365 * 24 * 60 * 60 / timeToMaturity) * 100 : null,
+      loan: formatLoan(loanId, loan, 0n, 0n, fees, decimals, now)
+    };
+  }));
+}
+
+/**
+ * The lending vault's size and an account's stake in it, in the vault asset's units.
+ * @param {string} [account] - Omit for vault-wide figures only
+ * @returns {Promise<{asset: string, totalAssets: string, sharePrice: string, shares: string,
+ *   assets: string, maxWithdraw: string}>} `sharePrice` is assets per whole share
+ */
+async function getVaultPosition(account) {
+  ensureReadContract();
+  const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_ABI, provider);
+  const asset = await vault.asset();
+  const decimals = await getAssetDecimals(asset);
+  const one = 10n ** BigInt(decimals);
+
+  const [totalAssets, sharePrice, shares, maxWithdraw] = await Promise.all([
+    vault.totalAssets(),
+    vault.convertToAssets(one),
+    account ? vault.balanceOf(account) : 0n,
+    account ? vault.maxWithdraw(account) : 0n
+  ]);
+  const assets = shares === 0n ? 0n : await vault.convertToAssets(shares);
+  return {
+    asset,
+    totalAssets: ethers.formatUnits(totalAssets, decimals),
+    sharePrice: ethers.formatUnits(sharePrice, decimals),
+    shares: ethers.formatUnits(shares, decimals),
+    assets: ethers.formatUnits(assets, decimals),
+    maxWithdraw: ethers.formatUnits(maxWithdraw, decimals)
+  };
 }
 
 /**
@@ -178,15 +876,27 @@ function ensureWriteContract() {
 
 /**
  * Create a new loan.
+ * Amounts are in units of the loan asset (ETH for native loans).
  * @param {Object} params
  * @param {string} params.principalEth - Principal amount in ETH (will be parsed)
  * @param {number|string} params.revenueSharePercent - Percentage (e.g., 10 for 10%)
  * @param {number|string} params.repaymentCapPercent - Percentage (e.g., 150 for 150%)
  * @param {number|string} params.durationSeconds - Loan duration in seconds
  * @param {string} params.collateralEth - Collateral amount in ETH (may be "0")
- * @returns {Promise<string>} Transaction hash
+ * @param {number|string} [params.fundingDeadline] - Unix timestamp after which the request can no longer be funded
+ *   (defaults to DEFAULT_FUNDING_WINDOW_SECONDS from now)
+ * @param {string} [params.asset] - Allowlisted ERC-20 address, or omitted for native CTC
+ * @param {Object} [params.schedule] - Optional installment schedule
+ * @param {number|string} params.schedule.periodSeconds - Length of each installment period
+ * @param {string} [params.schedule.installmentEth] - Minimum due per period in the loan asset, or
+ * @param {number|string} [params.schedule.installmentPercent] - Percentage of the repayment cap due per period
+ * @param {number|string} params.schedule.missedPeriodsToDefault - Missed periods after which lenders may claim collateral
+ * @param {Object} [params.grace] - Optional grace window after maturity
+ * @param {number|string} params.grace.periodSeconds - Seconds after maturity before collateral can be claimed
+ * @param {number|string} [params.grace.lateFeeBpsPerDay] - Late fee on the unpaid cap, in basis points per day
+ * @returns {Promise<{hash: string, loanId: string}>} Transaction hash and the ID of the new loan
  */
-async function createLoan({ principalEth, revenueSharePercent, repaymentCapPercent, durationSeconds, collateralEth }) {
+async function createLoan({ principalEth, revenueSharePercent, repaymentCapPercent, durationSeconds, collateralEth, fundingDeadline, asset = NATIVE_ASSET, schedule, grace }) {
   ensureWriteContract();
 
   // Basic validation
@@ -196,14 +906,131 @@ async function createLoan({ principalEth, revenueSharePercent, repaymentCapPerce
   // Collateral can be zero, so no validation needed.
 
   try {
-    const principalWei = ethers.parseEther(principalEth);
-    const collateralWei = ethers.parseEther(collateralEth || "0");
+    const decimals = await getAssetDecimals(asset);
+    const principalWei = ethers.parseUnits(principalEth, decimals);
+    const collateralWei = ethers.parseUnits(collateralEth || "0", decimals);
+    const deadline = fundingDeadline || Math.floor(Date.now() / 1000) + DEFAULT_FUNDING_WINDOW_SECONDS;
+    const paymentSchedule = schedule
+      ? {
+          period: schedule.periodSeconds,
+          installmentAmount: ethers.parseUnits(schedule.installmentEth || "0", decimals),
+          installmentPercent: schedule.installmentPercent || 0,
+          missedPeriodsToDefault: schedule.missedPeriodsToDefault
+        }
+      : { period: 0, installmentAmount: 0, installmentPercent: 0, missedPeriodsToDefault: 0 };
+    const gracePolicy = grace
+      ? { period: grace.periodSeconds, lateFeeBpsPerDay: grace.lateFeeBpsPerDay || 0 }
+      : { period: 0, lateFeeBpsPerDay: 0 };
+    await ensureAllowance(asset, collateralWei);
     const tx = await writeContract.createLoan(
       principalWei,
       revenueSharePercent,
       repaymentCapPercent,
       durationSeconds,
-      { value: collateralWei }
+      deadline,
+      asset,
+      collateralWei,
+      paymentSchedule,
+      gracePolicy,
+      { value: asset === NATIVE_ASSET ? collateralWei : 0n }
+    );
+    const receipt = await tx.wait();
+    const created = receipt.logs
+      .map(log => { try { return contractInterface.parseLog(log); } catch (_) { return null; } })
+      .find(event => event && event.name === "LoanCreated");
+    return { hash: receipt.hash, loanId: created ? created.args.loanId.toString() : null };
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Commit funds to an open loan. The loan activates once commitments cover the principal.
+ * @param {number|string} loanId
+ * @param {string} amountEth - Amount to commit in the loan asset (at most the unfilled principal)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function fundLoan(loanId, amountEth) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+  if (!amountEth || parseFloat(amountEth) <= 0) throw new Error("Amount must be positive.");
+
+  try {
+    const [{ asset }] = await writeContract.getLoan(loanId);
+    const amountWei = ethers.parseUnits(amountEth, await getAssetDecimals(asset));
+    await ensureAllowance(asset, amountWei);
+    const tx = await writeContract.fundLoan(loanId, amountWei, { value: asset === NATIVE_ASSET ? amountWei : 0n });
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Post a standing offer, escrowing its liquidity in the contract.
+ * @param {Object} params
+ * @param {string} params.liquidityEth - Liquidity to escrow in the offer asset
+ * @param {string} params.maxPrincipalEth - Largest principal a single loan may draw
+ * @param {number|string} params.minRepaymentCapPercent - Lowest repayment cap accepted (>= 100)
+ * @param {number|string} params.maxDurationSeconds - Longest loan duration accepted
+ * @param {number|string} params.minCollateralRatioBps - Lowest collateral / principal, in basis points
+ * @param {string} [params.asset] - Allowlisted ERC-20 address, or omitted for native CTC
+ * @returns {Promise<string>} Transaction hash
+ */
+async function postOffer({ liquidityEth, maxPrincipalEth, minRepaymentCapPercent, maxDurationSeconds, minCollateralRatioBps, asset = NATIVE_ASSET }) {
+  ensureWriteContract();
+  if (!liquidityEth || parseFloat(liquidityEth) <= 0) throw new Error("Liquidity must be positive.");
+
+  try {
+    const decimals = await getAssetDecimals(asset);
+    const liquidityWei = ethers.parseUnits(liquidityEth, decimals);
+    await ensureAllowance(asset, liquidityWei);
+    const tx = await writeContract.postOffer(
+      asset,
+      liquidityWei,
+      ethers.parseUnits(maxPrincipalEth, decimals),
+      minRepaymentCapPercent,
+      maxDurationSeconds,
+      minCollateralRatioBps,
+      { value: asset === NATIVE_ASSET ? liquidityWei : 0n }
+    );
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Take a standing offer: creates the loan and receives the principal in one transaction.
+ * @param {number|string} offerId
+ * @param {Object} params
+ * @param {string} params.principalEth - Principal to draw in the offer asset
+ * @param {number|string} params.revenueSharePercent - Percentage (e.g., 10 for 10%)
+ * @param {number|string} params.repaymentCapPercent - At least the offer's minimum
+ * @param {number|string} params.durationSeconds - At most the offer's maximum
+ * @param {string} params.collateralEth - Collateral, at least the offer's minimum ratio
+ * @returns {Promise<string>} Transaction hash
+ */
+async function takeOffer(offerId, { principalEth, revenueSharePercent, repaymentCapPercent, durationSeconds, collateralEth }) {
+  ensureWriteContract();
+  if (offerId === undefined || offerId === null || offerId <= 0) throw new Error("Invalid offer ID.");
+  if (!principalEth || parseFloat(principalEth) <= 0) throw new Error("Principal must be positive.");
+
+  try {
+    const { asset } = await writeContract.offers(offerId);
+    const decimals = await getAssetDecimals(asset);
+    const collateralWei = ethers.parseUnits(collateralEth || "0", decimals);
+    await ensureAllowance(asset, collateralWei);
+    const tx = await writeContract.takeOffer(
+      offerId,
+      ethers.parseUnits(principalEth, decimals),
+      revenueSharePercent,
+      repaymentCapPercent,
+      durationSeconds,
+      collateralWei,
+      { value: asset === NATIVE_ASSET ? collateralWei : 0n }
     );
     const receipt = await tx.wait();
     return receipt.hash;
@@ -213,18 +1040,37 @@ async function createLoan({ principalEth, revenueSharePercent, repaymentCapPerce
 }
 
 /**
- * Fund an existing loan.
+ * Withdraw liquidity not yet drawn from one of the connected lender's offers.
+ * @param {number|string} offerId
+ * @param {string} amountEth - Amount to withdraw in the offer asset
+ * @returns {Promise<string>} Transaction hash
+ */
+async function withdrawOfferLiquidity(offerId, amountEth) {
+  ensureWriteContract();
+  if (offerId === undefined || offerId === null || offerId <= 0) throw new Error("Invalid offer ID.");
+
+  try {
+    const { asset } = await writeContract.offers(offerId);
+    const amountWei = ethers.parseUnits(amountEth, await getAssetDecimals(asset));
+    const tx = await writeContract.withdrawOfferLiquidity(offerId, amountWei);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Withdraw the connected lender's commitment from a loan that has not been filled yet.
  * @param {number|string} loanId
- * @param {string} principalEth - Amount to fund (must equal loan principal)
  * @returns {Promise<string>} Transaction hash
  */
-async function fundLoan(loanId, principalEth) {
+async function withdrawCommitment(loanId) {
   ensureWriteContract();
   if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
 
   try {
-    const principalWei = ethers.parseEther(principalEth);
-    const tx = await writeContract.fundLoan(loanId, { value: principalWei });
+    const tx = await writeContract.withdrawCommitment(loanId);
     const receipt = await tx.wait();
     return receipt.hash;
   } catch (err) {
@@ -233,9 +1079,45 @@ async function fundLoan(loanId, principalEth) {
 }
 
 /**
- * Repay part or all of a loan.
+ * Cancel an unfunded loan request and recover its collateral.
  * @param {number|string} loanId
- * @param {string} repayEth - Amount to repay in ETH
+ * @returns {Promise<string>} Transaction hash
+ */
+async function cancelLoan(loanId) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+
+  try {
+    const tx = await writeContract.cancelLoan(loanId);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Refund the collateral of an expired, unfunded request to its borrower (callable by anyone).
+ * @param {number|string} loanId
+ * @returns {Promise<string>} Transaction hash
+ */
+async function refundExpiredLoan(loanId) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+
+  try {
+    const tx = await writeContract.refundExpiredLoan(loanId);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Repay part or all of a loan. Only the amount still owed is applied; any excess is refunded.
+ * @param {number|string} loanId
+ * @param {string} repayEth - Amount to repay in the loan asset
  * @returns {Promise<string>} Transaction hash
  */
 async function repayLoan(loanId, repayEth) {
@@ -243,8 +1125,10 @@ async function repayLoan(loanId, repayEth) {
   if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
 
   try {
-    const repayWei = ethers.parseEther(repayEth);
-    const tx = await writeContract.repay(loanId, { value: repayWei });
+    const [{ asset }] = await writeContract.getLoan(loanId);
+    const repayWei = ethers.parseUnits(repayEth, await getAssetDecimals(asset));
+    await ensureAllowance(asset, repayWei);
+    const tx = await writeContract.repay(loanId, repayWei, { value: asset === NATIVE_ASSET ? repayWei : 0n });
     const receipt = await tx.wait();
     return receipt.hash;
   } catch (err) {
@@ -270,6 +1154,486 @@ async function claimCollateral(loanId) {
   }
 }
 
+/**
+ * Propose new terms for an active loan (borrower or note holders only). The proposal takes
+ * effect once the borrower and every note holder have accepted it.
+ * @param {number|string} loanId
+ * @param {Object} terms
+ * @param {number|string} terms.durationSeconds - New duration, still counted from funding
+ * @param {number|string} terms.repaymentCapPercent - New repayment cap (e.g. 130 for 130%)
+ * @param {Object} [terms.schedule] - New installment schedule, shaped as in createLoan;
+ *   omitted keeps the loan's current schedule, null removes it
+ * @returns {Promise<string>} Transaction hash
+ */
+async function proposeAmendment(loanId, { durationSeconds, repaymentCapPercent, schedule }) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+
+  try {
+    let paymentSchedule = { period: 0, installmentAmount: 0, installmentPercent: 0, missedPeriodsToDefault: 0 };
+    if (schedule === undefined) {
+      const current = await writeContract.schedules(loanId);
+      paymentSchedule = {
+        period: current.period,
+        installmentAmount: current.installmentAmount,
+        installmentPercent: current.installmentPercent,
+        missedPeriodsToDefault: current.missedPeriodsToDefault
+      };
+    } else if (schedule) {
+      const [{ asset }] = await writeContract.getLoan(loanId);
+      paymentSchedule = {
+        period: schedule.periodSeconds,
+        installmentAmount: ethers.parseUnits(schedule.installmentEth || "0", await getAssetDecimals(asset)),
+        installmentPercent: schedule.installmentPercent || 0,
+        missedPeriodsToDefault: schedule.missedPeriodsToDefault
+      };
+    }
+    const tx = await writeContract.proposeAmendment(loanId, durationSeconds, repaymentCapPercent, paymentSchedule);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Accept the pending amendment of a loan (borrower or note holders only).
+ * @param {number|string} loanId
+ * @param {number|string} amendmentId - ID of the pending proposal (see getAmendments)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function acceptAmendment(loanId, amendmentId) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+
+  try {
+    const tx = await writeContract.acceptAmendment(loanId, amendmentId);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Give a loan a payment address (borrower only): deploys its RevenueSplitter if needed and
+ * makes it the loan's repayment agent. Customer payments sent there repay the lenders'
+ * revenue share and forward the rest to the borrower.
+ * @param {number|string} loanId
+ * @returns {Promise<string>} Splitter address
+ */
+async function createSplitter(loanId) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+
+  try {
+    const factory = new ethers.Contract(SPLITTER_FACTORY_ADDRESS, SPLITTER_FACTORY_ABI, signer);
+    let splitter = await factory.splitterOf(loanId);
+    if (splitter === ethers.ZeroAddress) {
+      const tx = await factory.createSplitter(loanId);
+      await tx.wait();
+      splitter = await factory.splitterOf(loanId);
+    }
+    if ((await writeContract.repaymentAgent(loanId)) !== splitter) {
+      const tx = await writeContract.setRepaymentAgent(loanId, splitter);
+      await tx.wait();
+    }
+    return splitter;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * List a held loan note for sale on the note market, or change its price. Approves the
+ * market on the connected wallet's notes first if needed.
+ * @param {number|string} noteId
+ * @param {string} priceEth - Asking price in the loan asset
+ * @returns {Promise<string>} Transaction hash
+ */
+async function listPosition(noteId, priceEth) {
+  ensureWriteContract();
+  if (noteId === undefined || noteId === null || noteId <= 0) throw new Error("Invalid note ID.");
+  if (!priceEth || parseFloat(priceEth) <= 0) throw new Error("Price must be positive.");
+
+  try {
+    const [{ asset }] = await writeContract.getLoan(await writeContract.noteLoanId(noteId));
+    const price = ethers.parseUnits(priceEth, await getAssetDecimals(asset));
+    const noteContract = new ethers.Contract(await writeContract.loanNote(), LOAN_NOTE_ABI, signer);
+    if (!(await noteContract.isApprovedForAll(await signer.getAddress(), NOTE_MARKET_ADDRESS))) {
+      const tx = await noteContract.setApprovalForAll(NOTE_MARKET_ADDRESS, true);
+      await tx.wait();
+    }
+    const market = new ethers.Contract(NOTE_MARKET_ADDRESS, NOTE_MARKET_ABI, signer);
+    const tx = await market.list(noteId, price);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Buy a listed position. The buyer receives the note and every future payout of it.
+ * @param {number|string} noteId
+ * @param {string} priceEth - Asking price as shown; the purchase fails if it has changed
+ * @returns {Promise<string>} Transaction hash
+ */
+async function buyPosition(noteId, priceEth) {
+  ensureWriteContract();
+  if (noteId === undefined || noteId === null || noteId <= 0) throw new Error("Invalid note ID.");
+
+  try {
+    const [{ asset }] = await writeContract.getLoan(await writeContract.noteLoanId(noteId));
+    const price = ethers.parseUnits(priceEth, await getAssetDecimals(asset));
+    await ensureAllowance(asset, price, NOTE_MARKET_ADDRESS);
+    const market = new ethers.Contract(NOTE_MARKET_ADDRESS, NOTE_MARKET_ABI, signer);
+    const tx = await market.buy(noteId, price, { value: asset === NATIVE_ASSET ? price : 0n });
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Withdraw a listing from the note market.
+ * @param {number|string} noteId
+ * @returns {Promise<string>} Transaction hash
+ */
+async function cancelPositionListing(noteId) {
+  ensureWriteContract();
+  if (noteId === undefined || noteId === null || noteId <= 0) throw new Error("Invalid note ID.");
+
+  try {
+    const market = new ethers.Contract(NOTE_MARKET_ADDRESS, NOTE_MARKET_ABI, signer);
+    const tx = await market.cancelListing(noteId);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Deposit into the lending vault in exchange for shares.
+ * @param {string} amount - Amount of the vault asset to deposit
+ * @returns {Promise<string>} Transaction hash
+ */
+async function depositToVault(amount) {
+  ensureWriteContract();
+  if (!amount || parseFloat(amount) <= 0) throw new Error("Amount must be positive.");
+
+  try {
+    const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_ABI, signer);
+    const asset = await vault.asset();
+    const assets = ethers.parseUnits(amount, await getAssetDecimals(asset));
+    await ensureAllowance(asset, assets, VAULT_ADDRESS);
+    const tx = await vault.deposit(assets, await signer.getAddress());
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Withdraw from the lending vault, burning the shares needed. Only idle vault assets can be
+ * withdrawn; see getVaultPosition().maxWithdraw.
+ * @param {string} amount - Amount of the vault asset to withdraw
+ * @returns {Promise<string>} Transaction hash
+ */
+async function withdrawFromVault(amount) {
+  ensureWriteContract();
+  if (!amount || parseFloat(amount) <= 0) throw new Error("Amount must be positive.");
+
+  try {
+    const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_ABI, signer);
+    const assets = ethers.parseUnits(amount, await getAssetDecimals(await vault.asset()));
+    const account = await signer.getAddress();
+    const tx = await vault.withdraw(assets, account, account);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Report revenue for an active loan (authorized reporters only).
+ * @param {number|string} loanId
+ * @param {string} revenueEth - Revenue for the period in the loan asset
+ * @returns {Promise<string>} Transaction hash
+ */
+async function reportRevenue(loanId, revenueEth) {
+  ensureWriteContract();
+  if (loanId === undefined || loanId === null || loanId <= 0) throw new Error("Invalid loan ID.");
+
+  try {
+    const [{ asset }] = await writeContract.getLoan(loanId);
+    const revenueWei = ethers.parseUnits(revenueEth, await getAssetDecimals(asset));
+    const tx = await writeContract.reportRevenue(loanId, revenueWei);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Withdraw payouts credited to the connected wallet.
+ * @param {string} [asset] - Token address, or omitted for native CTC
+ * @returns {Promise<string>} Transaction hash
+ */
+async function withdrawPayouts(asset = NATIVE_ASSET) {
+  ensureWriteContract();
+
+  try {
+    const tx = await writeContract.withdraw(asset);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+/**
+ * Withdraw collected protocol fees to the connected wallet (treasury role only).
+ * @param {string} [asset] - Token address, or omitted for native CTC
+ * @returns {Promise<string>} Transaction hash
+ */
+async function withdrawProtocolFees(asset = NATIVE_ASSET) {
+  ensureWriteContract();
+
+  try {
+    const tx = await writeContract.withdrawProtocolFees(asset);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (err) {
+    throw new Error(decodeError(err));
+  }
+}
+
+// ============================================
+// LOAN STORE (EVENT-DRIVEN CLIENT CACHE)
+// ============================================
+// Backfills every loan from past logs, then follows new blocks and re-reads only the loans
+// an event touched. Following is done by polling the block number, which works with any
+// wallet provider; the last applied block is kept across failures, so once a dropped
+// provider answers again the next poll catches up on everything missed in between.
+// Loans are kept as raw records and shaped on every read, so requests expire and
+// installments fall due on time even though no event marks either.
+
+// Contract events that change a loan's on-chain state
+const STORE_EVENTS = [
+  "LoanCreated",
+  "FundingCommitted",
+  "CommitmentWithdrawn",
+  "LoanFunded",
+  "LoanRepaid",
+  "LoanClosed",
+  "LoanDefaulted",
+  "LoanCancelled",
+  "LoanExpired",
+  "LoanAmended",
+  "PaymentScheduleSet",
+  "RevenueReported",
+  "LateFeePaid",
+  // Pausing stops every loan's clock and unpausing restarts it
+  "Paused",
+  "Unpaused"
+];
+
+const loanStore = {
+  loans: new Map(),       // loanId -> raw loan record (see readLoanBatch)
+  derived: new Map(),     // loanId -> status, due date and arrears as listeners last saw them
+  defaulted: new Set(),   // loanIds that closed through a collateral claim
+  retry: new Set(),       // loanIds whose last read failed; re-read on the next poll
+  listeners: new Set(),
+  lastBlock: null,        // last block whose events have been applied
+  status: "idle",         // "idle" | "syncing" | "live" | "reconnecting"
+  started: null,          // promise of the initial backfill
+  polling: false,
+  timer: null,
+  failures: 0
+};
+
+/**
+ * Start the loan store: backfill from past logs, then follow new blocks. Safe to call
+ * repeatedly; every caller waits for the same backfill. A failed backfill can be retried.
+ * @returns {Promise<void>} Resolves once the backfill has been applied
+ */
+function startLoanStore() {
+  if (!loanStore.started) {
+    loanStore.started = (async () => {
+      await contractReady;
+      if (!readContract) await failoverReadEndpoint();
+      ensureReadContract();
+      setLoanStoreStatus("syncing");
+      const head = await provider.getBlockNumber();
+      await applyLoanEvents(await fetchLoanEvents(STORE_FROM_BLOCK, head));
+      loanStore.lastBlock = head;
+      setLoanStoreStatus("live");
+
+      window.addEventListener("online", () => refreshLoanStore());
+      scheduleLoanStorePoll(STORE_POLL_MS);
+    })();
+    loanStore.started.catch(err => {
+      loanStore.started = null;
+      setLoanStoreStatus("idle");
+      if (isEndpointFailure(err)) {
+        failoverReadEndpoint().catch(() => { /* none healthy yet – retried on the next start */ });
+      }
+    });
+  }
+  return loanStore.started;
+}
+
+/**
+ * Register a listener for store updates. It is called with
+ * `{ loans, changed, events, failed, status }`: every stored loan (oldest first), the IDs
+ * updated by this change or whose status, due date or arrears moved with the clock, the
+ * decoded events behind it (pause events have a null `loanId`), loans that could not be read
+ * this time (see getLoans; they are retried on the next poll) and the store's connection
+ * status.
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+function subscribeLoans(listener) {
+  loanStore.listeners.add(listener);
+  return () => loanStore.listeners.delete(listener);
+}
+
+/**
+ * Every loan in the store as of now, oldest first.
+ * @returns {Object[]} Loans shaped like getLoan, plus `defaulted`
+ */
+function getStoredLoans() {
+  const now = Math.floor(Date.now() / 1000);
+  return Array.from(loanStore.loans.values(), record => ({
+    ...formatLoanRecord(record, now),
+    defaulted: loanStore.defaulted.has(record.id)
+  })).sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+/**
+ * Apply new blocks now instead of waiting for the next poll.
+ * @returns {Promise<void>}
+ */
+async function refreshLoanStore() {
+  await pollLoanStore();
+}
+
+async function pollLoanStore() {
+  if (loanStore.polling || loanStore.lastBlock === null) return;
+  loanStore.polling = true;
+  clearTimeout(loanStore.timer);
+  try {
+    const head = await provider.getBlockNumber();
+    if (head > loanStore.lastBlock || loanStore.retry.size > 0) {
+      await applyLoanEvents(await fetchLoanEvents(loanStore.lastBlock + 1, head));
+      loanStore.lastBlock = head;
+    }
+    // Expiries and due dates pass without an event
+    if (driftedLoanIds(getStoredLoans()).length > 0) notifyLoanStore([], []);
+    loanStore.failures = 0;
+    setLoanStoreStatus("live");
+  } catch (err) {
+    // lastBlock is untouched, so the range is fetched again once the provider is back
+    console.warn("Loan store poll failed:", err);
+    loanStore.failures++;
+    setLoanStoreStatus("reconnecting");
+    await failoverReadEndpoint().catch(() => { /* none healthy yet – retried on the next poll */ });
+  } finally {
+    loanStore.polling = false;
+    scheduleLoanStorePoll(Math.min(STORE_POLL_MS * 2 ** loanStore.failures, STORE_MAX_BACKOFF_MS));
+  }
+}
+
+function scheduleLoanStorePoll(delay) {
+  clearTimeout(loanStore.timer);
+  loanStore.timer = setTimeout(pollLoanStore, delay);
+}
+
+/**
+ * Decoded loan events between two blocks (inclusive), fetched in LOG_BLOCK_RANGE chunks.
+ */
+async function fetchLoanEvents(fromBlock, toBlock) {
+  const topics = [STORE_EVENTS.map(name => contractInterface.getEvent(name).topicHash)];
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_BLOCK_RANGE) {
+    const end = Math.min(start + LOG_BLOCK_RANGE - 1, toBlock);
+    const logs = await provider.getLogs({ address: CONTRACT_ADDRESS, fromBlock: start, toBlock: end, topics });
+    for (const log of logs) {
+      const parsed = contractInterface.parseLog(log);
+      events.push({
+        name: parsed.name,
+        loanId: parsed.args.loanId === undefined ? null : parsed.args.loanId.toString(), // null for pause events
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Re-read the loans the events touched (every active loan for a pause or unpause), plus any
+ * whose last read failed, and notify listeners. Loans that fail again stay queued for the
+ * next poll.
+ */
+async function applyLoanEvents(events) {
+  const touched = events.flatMap(event => event.loanId !== null
+    ? [event.loanId]
+    : Array.from(loanStore.loans.values()).filter(record => record.loan.active).map(record => record.id));
+  const changed = [...new Set([...loanStore.retry, ...touched])];
+  if (changed.length === 0) return;
+  const { records, failed } = await readLoanRecords(changed);
+  loanStore.retry = new Set(failed.map(failure => failure.loanId));
+  if (failed.length > 0) console.warn("Loan store could not read some loans, retrying:", failed);
+
+  events.forEach(event => {
+    if (event.name === "LoanDefaulted") loanStore.defaulted.add(event.loanId);
+  });
+  records.forEach(record => loanStore.loans.set(record.id, record));
+  notifyLoanStore(records.map(record => record.id), events, failed);
+}
+
+/**
+ * IDs of the loans whose status, next due date or arrears differ from what listeners were
+ * last sent.
+ */
+function driftedLoanIds(loans) {
+  return loans
+    .filter(loan => loanStore.derived.get(loan.id) !== timeDependentState(loan))
+    .map(loan => loan.id);
+}
+
+function timeDependentState(loan) {
+  return `${loan.status}:${loan.nextDueDate}:${loan.arrears}`;
+}
+
+function setLoanStoreStatus(status) {
+  if (loanStore.status === status) return;
+  loanStore.status = status;
+  notifyLoanStore([], []);
+}
+
+function notifyLoanStore(changed, events, failed = []) {
+  const loans = getStoredLoans();
+  // Loans that moved with the clock since the last update count as changed too
+  const drifted = driftedLoanIds(loans);
+  loans.forEach(loan => loanStore.derived.set(loan.id, timeDependentState(loan)));
+  const update = { loans, changed: [...new Set([...changed, ...drifted])], events, failed, status: loanStore.status };
+  loanStore.listeners.forEach(listener => {
+    try {
+      listener(update);
+    } catch (err) {
+      console.error("Loan store listener failed:", err);
+    }
+  });
+}
+
 // ============================================
 // UTILITY: Check if wallet is connected
 // ============================================
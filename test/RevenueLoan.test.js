@@ -1,24 +1,97 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const frontendEthers = require("ethers"); // the v6 build the frontend loads
+
+// Runs frontend/contract.js as a page with a wallet on the Hardhat network would. Its clock
+// reads `frontend.now` (unix seconds) and its timers never fire, so tests drive the loan
+// store through refreshLoanStore. `frontend.requests` counts JSON-RPC requests by method.
+function loadFrontend(contractAddress, multicallAddress) {
+  const frontend = { now: 0, requests: {} };
+  const source = fs.readFileSync(path.join(__dirname, "../frontend/contract.js"), "utf8")
+    .replace('"0xYourDeployedContractAddressHere"', JSON.stringify(contractAddress))
+    .replace('"0xYourMulticallAddressHere"', JSON.stringify(multicallAddress));
+  const abi = JSON.parse(fs.readFileSync(path.join(__dirname, "../frontend/abi/RevenueLoan.json"), "utf8"));
+
+  const window = {
+    addEventListener() {},
+    ethereum: {
+      request: ({ method, params }) => {
+        frontend.requests[method] = (frontend.requests[method] || 0) + 1;
+        return network.provider.request({ method, params });
+      }
+    }
+  };
+  const context = vm.createContext({
+    window,
+    ethers: frontendEthers,
+    console: { ...console, log() {} },
+    setTimeout: () => 0,
+    clearTimeout() {},
+    fetch: async () => ({ ok: true, json: async () => abi }),
+    clock: () => frontend.now * 1000
+  });
+  vm.runInContext("Date.now = clock;\n" + source, context);
+  return Object.assign(frontend, window);
+}
 
 describe("RevenueLoan", function () {
   let RevenueLoan;
   let revenueLoan;
+  let timelock;
   let owner, borrower, lender, other;
+  let deadline;
+  let salt = 0;
 
   const PRINCIPAL = ethers.utils.parseEther("10");
   const REVENUE_SHARE = 10; // 10%
   const REPAYMENT_CAP = 120; // 120%
   const DURATION = 7 * 24 * 60 * 60; // 7 days
   const COLLATERAL = ethers.utils.parseEther("2");
+  const FUNDING_WINDOW = 3 * 24 * 60 * 60; // 3 days to find a lender
+  const NATIVE = ethers.constants.AddressZero; // native CTC loan asset
+  const NO_SCHEDULE = [0, 0, 0, 0]; // no installment schedule
+  const NO_GRACE = [0, 0]; // collateral claimable right at maturity, no late fees
+  const TIMELOCK_DELAY = 24 * 60 * 60; // 1 day
+  const NO_PREDECESSOR = ethers.constants.HashZero;
 
   beforeEach(async function () {
     [owner, borrower, lender, other] = await ethers.getSigners();
+    const ProtocolTimelock = await ethers.getContractFactory("ProtocolTimelock");
+    timelock = await ProtocolTimelock.deploy(
+      TIMELOCK_DELAY,
+      [owner.address],
+      [owner.address],
+      ethers.constants.AddressZero
+    );
+    await timelock.deployed();
+
     RevenueLoan = await ethers.getContractFactory("RevenueLoan");
-    revenueLoan = await RevenueLoan.deploy();
+    revenueLoan = await RevenueLoan.deploy(timelock.address);
     await revenueLoan.deployed();
+
+    const latest = await ethers.provider.getBlock("latest");
+    deadline = latest.timestamp + FUNDING_WINDOW;
   });
 
+  // Queues a call on the protocol through the timelock, waits out the delay and executes it.
+  // The funding deadline is moved along with the clock so later loan requests stay valid.
+  async function govern(fn, args) {
+    const data = revenueLoan.interface.encodeFunctionData(fn, args);
+    const opSalt = ethers.utils.hexZeroPad(ethers.utils.hexlify(++salt), 32);
+
+    await timelock.schedule(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt, TIMELOCK_DELAY);
+    await ethers.provider.send("evm_increaseTime", [TIMELOCK_DELAY]);
+    await ethers.provider.send("evm_mine", []);
+    const tx = await timelock.execute(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt);
+
+    const latest = await ethers.provider.getBlock("latest");
+    deadline = latest.timestamp + FUNDING_WINDOW;
+    return tx;
+  }
+
   describe("Loan Creation", function () {
     it("Should create a loan with collateral", async function () {
       await expect(
@@ -27,6 +100,11 @@ describe("RevenueLoan", function () {
           REVENUE_SHARE,
           REPAYMENT_CAP,
           DURATION,
+          deadline,
+          NATIVE,
+          COLLATERAL,
+          NO_SCHEDULE,
+          NO_GRACE,
           { value: COLLATERAL }
         )
       )
@@ -38,7 +116,9 @@ describe("RevenueLoan", function () {
           REVENUE_SHARE,
           REPAYMENT_CAP,
           DURATION,
-          COLLATERAL
+          COLLATERAL,
+          deadline,
+          NATIVE
         );
 
       const loan = await revenueLoan.loans(1);
@@ -53,6 +133,8 @@ describe("RevenueLoan", function () {
       expect(loan.collateralAmount).to.equal(COLLATERAL);
       expect(loan.startTime).to.equal(0);
       expect(loan.duration).to.equal(DURATION);
+      expect(loan.fundingDeadline).to.equal(deadline);
+      expect(loan.asset).to.equal(NATIVE);
     });
 
     it("Should create a loan without collateral", async function () {
@@ -60,7 +142,12 @@ describe("RevenueLoan", function () {
         PRINCIPAL,
         REVENUE_SHARE,
         REPAYMENT_CAP,
-        DURATION
+        DURATION,
+        deadline,
+        NATIVE,
+        0,
+        NO_SCHEDULE,
+        NO_GRACE
       );
       const loan = await revenueLoan.loans(1);
       expect(loan.collateralAmount).to.equal(0);
@@ -68,25 +155,49 @@ describe("RevenueLoan", function () {
 
     it("Should revert if principal is 0", async function () {
       await expect(
-        revenueLoan.connect(borrower).createLoan(0, REVENUE_SHARE, REPAYMENT_CAP, DURATION)
+        revenueLoan.connect(borrower).createLoan(0, REVENUE_SHARE, REPAYMENT_CAP, DURATION, deadline, NATIVE, 0, NO_SCHEDULE, NO_GRACE)
       ).to.be.revertedWith("Principal must be > 0");
     });
 
     it("Should revert if revenueSharePercent is 0", async function () {
       await expect(
-        revenueLoan.connect(borrower).createLoan(PRINCIPAL, 0, REPAYMENT_CAP, DURATION)
+        revenueLoan.connect(borrower).createLoan(PRINCIPAL, 0, REPAYMENT_CAP, DURATION, deadline, NATIVE, 0, NO_SCHEDULE, NO_GRACE)
       ).to.be.revertedWith("Revenue share % must be > 0");
     });
 
     it("Should revert if repaymentCapPercent < 100", async function () {
       await expect(
-        revenueLoan.connect(borrower).createLoan(PRINCIPAL, REVENUE_SHARE, 99, DURATION)
+        revenueLoan.connect(borrower).createLoan(PRINCIPAL, REVENUE_SHARE, 99, DURATION, deadline, NATIVE, 0, NO_SCHEDULE, NO_GRACE)
       ).to.be.revertedWith("Repayment cap must be >=100%");
     });
 
+    it("Should revert if funding deadline is not in the future", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      await expect(
+        revenueLoan.connect(borrower).createLoan(PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, DURATION, latest.timestamp, NATIVE, 0, NO_SCHEDULE, NO_GRACE)
+      ).to.be.revertedWithCustomError(revenueLoan, "InvalidFundingDeadline");
+    });
+
+    it("Should revert if msg.value does not match the collateral amount", async function () {
+      await expect(
+        revenueLoan.connect(borrower).createLoan(
+          PRINCIPAL,
+          REVENUE_SHARE,
+          REPAYMENT_CAP,
+          DURATION,
+          deadline,
+          NATIVE,
+          COLLATERAL,
+          NO_SCHEDULE,
+          NO_GRACE,
+          { value: COLLATERAL.sub(1) }
+        )
+      ).to.be.revertedWithCustomError(revenueLoan, "IncorrectCollateralAmount");
+    });
+
     it("Should revert if duration is 0", async function () {
       await expect(
-        revenueLoan.connect(borrower).createLoan(PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, 0)
+        revenueLoan.connect(borrower).createLoan(PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, 0, deadline, NATIVE, 0, NO_SCHEDULE, NO_GRACE)
       ).to.be.revertedWith("Duration must be > 0");
     });
   });
@@ -98,6 +209,11 @@ describe("RevenueLoan", function () {
         REVENUE_SHARE,
         REPAYMENT_CAP,
         DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
         { value: COLLATERAL }
       );
     });
@@ -106,7 +222,7 @@ describe("RevenueLoan", function () {
       const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
 
       await expect(
-        revenueLoan.connect(lender).fundLoan(1, { value: PRINCIPAL })
+        revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL })
       )
         .to.emit(revenueLoan, "LoanFunded")
         .withArgs(1, lender.address);
@@ -122,25 +238,293 @@ describe("RevenueLoan", function () {
     });
 
     it("Should revert if loan already funded", async function () {
-      await revenueLoan.connect(lender).fundLoan(1, { value: PRINCIPAL });
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
       await expect(
-        revenueLoan.connect(lender).fundLoan(1, { value: PRINCIPAL })
+        revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL })
       ).to.be.revertedWith("Loan already funded");
     });
 
     it("Should revert if incorrect principal sent", async function () {
       await expect(
-        revenueLoan.connect(lender).fundLoan(1, { value: ethers.utils.parseEther("5") })
+        revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: ethers.utils.parseEther("5") })
       ).to.be.revertedWith("Incorrect principal amount");
     });
 
     it("Should revert if loan does not exist", async function () {
       await expect(
-        revenueLoan.connect(lender).fundLoan(99, { value: PRINCIPAL })
+        revenueLoan.connect(lender).fundLoan(99, PRINCIPAL, { value: PRINCIPAL })
       ).to.be.revertedWith("Loan does not exist");
     });
   });
 
+  describe("Loan Cancellation", function () {
+    beforeEach(async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    });
+
+    it("Should cancel an unfunded loan and return collateral", async function () {
+      await expect(
+        revenueLoan.connect(borrower).cancelLoan(1)
+      ).to.changeEtherBalances([borrower, revenueLoan], [COLLATERAL, COLLATERAL.mul(-1)]);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.cancelled).to.be.true;
+      expect(loan.collateralAmount).to.equal(0);
+    });
+
+    it("Should emit LoanCancelled", async function () {
+      await expect(revenueLoan.connect(borrower).cancelLoan(1))
+        .to.emit(revenueLoan, "LoanCancelled")
+        .withArgs(1, COLLATERAL);
+    });
+
+    it("Should revert if not borrower", async function () {
+      await expect(
+        revenueLoan.connect(other).cancelLoan(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "NotBorrower");
+    });
+
+    it("Should revert if loan already funded", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await expect(
+        revenueLoan.connect(borrower).cancelLoan(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanAlreadyFunded");
+    });
+
+    it("Should revert on double cancel", async function () {
+      await revenueLoan.connect(borrower).cancelLoan(1);
+      await expect(
+        revenueLoan.connect(borrower).cancelLoan(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanAlreadyCancelled");
+    });
+
+    it("Should prevent funding a cancelled loan", async function () {
+      await revenueLoan.connect(borrower).cancelLoan(1);
+      await expect(
+        revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL })
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanAlreadyCancelled");
+    });
+  });
+
+  describe("Funding Deadline", function () {
+    beforeEach(async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    });
+
+    async function expire() {
+      await ethers.provider.send("evm_increaseTime", [FUNDING_WINDOW + 1]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    it("Should reject funding after the deadline", async function () {
+      await expire();
+      await expect(
+        revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL })
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanRequestExpired");
+    });
+
+    it("Should let anyone refund collateral to the borrower once expired", async function () {
+      await expire();
+      await expect(
+        revenueLoan.connect(other).refundExpiredLoan(1)
+      ).to.changeEtherBalances([borrower, revenueLoan], [COLLATERAL, COLLATERAL.mul(-1)]);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.cancelled).to.be.true;
+      expect(loan.collateralAmount).to.equal(0);
+    });
+
+    it("Should emit LoanExpired on refund", async function () {
+      await expire();
+      await expect(revenueLoan.connect(other).refundExpiredLoan(1))
+        .to.emit(revenueLoan, "LoanExpired")
+        .withArgs(1, COLLATERAL);
+    });
+
+    it("Should revert refund before the deadline", async function () {
+      await expect(
+        revenueLoan.connect(other).refundExpiredLoan(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanRequestNotExpired");
+    });
+
+    it("Should revert refund of a funded loan", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await expire();
+      await expect(
+        revenueLoan.connect(other).refundExpiredLoan(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanAlreadyFunded");
+    });
+
+    it("Should revert a second refund", async function () {
+      await expire();
+      await revenueLoan.connect(other).refundExpiredLoan(1);
+      await expect(
+        revenueLoan.connect(other).refundExpiredLoan(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanAlreadyCancelled");
+    });
+  });
+
+  describe("Syndicated Funding", function () {
+    let lender2;
+    const SIXTY = ethers.utils.parseEther("6");
+    const FORTY = ethers.utils.parseEther("4");
+
+    beforeEach(async function () {
+      lender2 = (await ethers.getSigners())[4];
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    });
+
+    async function syndicate() {
+      await revenueLoan.connect(lender).fundLoan(1, SIXTY, { value: SIXTY });
+      return revenueLoan.connect(lender2).fundLoan(1, FORTY, { value: FORTY });
+    }
+
+    it("Should hold partial commitments until the principal is filled", async function () {
+      await expect(revenueLoan.connect(lender).fundLoan(1, SIXTY, { value: SIXTY }))
+        .to.emit(revenueLoan, "FundingCommitted")
+        .withArgs(1, lender.address, SIXTY);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.funded).to.be.false;
+      expect(loan.totalCommitted).to.equal(SIXTY);
+      expect(await revenueLoan.commitments(1, lender.address)).to.equal(SIXTY);
+    });
+
+    it("Should activate and disburse once filled", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, SIXTY, { value: SIXTY });
+
+      await expect(revenueLoan.connect(lender2).fundLoan(1, FORTY, { value: FORTY }))
+        .to.emit(revenueLoan, "LoanFunded")
+        .withArgs(1, lender.address)
+        .and.to.changeEtherBalance(borrower, PRINCIPAL);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.funded).to.be.true;
+      expect(loan.active).to.be.true;
+      expect(loan.lender).to.equal(lender.address);
+
+      const [lenders, amounts] = await revenueLoan.getLenders(1);
+      expect(lenders).to.deep.equal([lender.address, lender2.address]);
+      expect(amounts[0]).to.equal(SIXTY);
+      expect(amounts[1]).to.equal(FORTY);
+    });
+
+    it("Should revert if a commitment exceeds the unfilled principal", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, SIXTY, { value: SIXTY });
+      await expect(
+        revenueLoan.connect(lender2).fundLoan(1, SIXTY, { value: SIXTY })
+      ).to.be.revertedWithCustomError(revenueLoan, "CommitmentExceedsRemaining");
+    });
+
+    it("Should not let dust commitments take up lender slots", async function () {
+      const share = PRINCIPAL.div(await revenueLoan.MAX_LENDERS_PER_LOAN());
+
+      await expect(
+        revenueLoan.connect(other).fundLoan(1, 1, { value: 1 })
+      ).to.be.revertedWithCustomError(revenueLoan, "CommitmentTooSmall");
+
+      // A full share takes the slot, after which top-ups may be any size
+      await revenueLoan.connect(other).fundLoan(1, share, { value: share });
+      await revenueLoan.connect(other).fundLoan(1, 1, { value: 1 });
+      expect(await revenueLoan.commitments(1, other.address)).to.equal(share.add(1));
+
+      // Once less than a share is left, a new lender only has to fill the rest
+      const rest = PRINCIPAL.sub(share.add(1));
+      const almostAll = rest.sub(share.div(2));
+      await revenueLoan.connect(lender).fundLoan(1, almostAll, { value: almostAll });
+      const last = PRINCIPAL.sub(share.add(1)).sub(almostAll);
+      await expect(revenueLoan.connect(lender2).fundLoan(1, last, { value: last }))
+        .to.emit(revenueLoan, "LoanFunded");
+    });
+
+    it("Should let a contributor withdraw while unfilled", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, SIXTY, { value: SIXTY });
+      await revenueLoan.connect(lender2).fundLoan(1, ethers.utils.parseEther("1"), {
+        value: ethers.utils.parseEther("1")
+      });
+
+      await expect(
+        revenueLoan.connect(lender).withdrawCommitment(1)
+      ).to.changeEtherBalance(lender, SIXTY);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalCommitted).to.equal(ethers.utils.parseEther("1"));
+      const [lenders] = await revenueLoan.getLenders(1);
+      expect(lenders).to.deep.equal([lender2.address]);
+    });
+
+    it("Should revert withdrawal once the loan is funded", async function () {
+      await syndicate();
+      await expect(
+        revenueLoan.connect(lender).withdrawCommitment(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanAlreadyFunded");
+    });
+
+    it("Should revert withdrawal without a commitment", async function () {
+      await expect(
+        revenueLoan.connect(other).withdrawCommitment(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "NoCommitment");
+    });
+
+    it("Should split repayments pro-rata", async function () {
+      await syndicate();
+      const payment = ethers.utils.parseEther("5");
+
+      await expect(
+        revenueLoan.connect(borrower).repay(1, payment, { value: payment })
+      ).to.changeEtherBalances(
+        [lender, lender2],
+        [ethers.utils.parseEther("3"), ethers.utils.parseEther("2")]
+      );
+    });
+
+    it("Should share collateral pro-rata on default", async function () {
+      await syndicate();
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        revenueLoan.connect(lender2).claimCollateral(1)
+      ).to.changeEtherBalances(
+        [lender, lender2],
+        [COLLATERAL.mul(6).div(10), COLLATERAL.mul(4).div(10)]
+      );
+    });
+  });
+
   describe("Repayment", function () {
     beforeEach(async function () {
       await revenueLoan.connect(borrower).createLoan(
@@ -148,9 +532,14 @@ describe("RevenueLoan", function () {
         REVENUE_SHARE,
         REPAYMENT_CAP,
         DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
         { value: COLLATERAL }
       );
-      await revenueLoan.connect(lender).fundLoan(1, { value: PRINCIPAL });
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
     });
 
     it("Should allow partial repayment", async function () {
@@ -158,7 +547,7 @@ describe("RevenueLoan", function () {
       const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
 
       await expect(
-        revenueLoan.connect(borrower).repay(1, { value: repaymentAmount })
+        revenueLoan.connect(borrower).repay(1, repaymentAmount, { value: repaymentAmount })
       )
         .to.emit(revenueLoan, "LoanRepaid")
         .withArgs(1, repaymentAmount);
@@ -177,7 +566,7 @@ describe("RevenueLoan", function () {
       const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
 
       await expect(
-        revenueLoan.connect(borrower).repay(1, { value: requiredRepayment })
+        revenueLoan.connect(borrower).repay(1, requiredRepayment, { value: requiredRepayment })
       )
         .to.emit(revenueLoan, "LoanRepaid")
         .withArgs(1, requiredRepayment)
@@ -203,9 +592,50 @@ describe("RevenueLoan", function () {
       expect(loan.collateralAmount).to.equal(0); // collateral zeroed
     });
 
+    it("Should apply only the outstanding obligation and refund the excess", async function () {
+      const requiredRepayment = PRINCIPAL.mul(REPAYMENT_CAP).div(100); // 12 ETH
+      const overpayment = requiredRepayment.add(ethers.utils.parseEther("3"));
+
+      // Borrower sends 15, gets 3 back plus 2 collateral => net -10
+      await expect(
+        revenueLoan.connect(borrower).repay(1, overpayment, { value: overpayment })
+      ).to.changeEtherBalances(
+        [borrower, lender, revenueLoan],
+        [requiredRepayment.sub(COLLATERAL).mul(-1), requiredRepayment, COLLATERAL.mul(-1)]
+      );
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalRepaid).to.equal(requiredRepayment);
+    });
+
+    it("Should emit the applied amount on overpayment", async function () {
+      const firstPayment = ethers.utils.parseEther("10");
+      await revenueLoan.connect(borrower).repay(1, firstPayment, { value: firstPayment });
+
+      // Only 2 ETH of the 5 ETH payment is still owed
+      const overpayment = ethers.utils.parseEther("5");
+      await expect(revenueLoan.connect(borrower).repay(1, overpayment, { value: overpayment }))
+        .to.emit(revenueLoan, "LoanRepaid")
+        .withArgs(1, ethers.utils.parseEther("2"))
+        .and.to.emit(revenueLoan, "LoanClosed");
+    });
+
+    it("Should report the remaining obligation", async function () {
+      const requiredRepayment = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      expect(await revenueLoan.remainingObligation(1)).to.equal(requiredRepayment);
+
+      const payment = ethers.utils.parseEther("5");
+      await revenueLoan.connect(borrower).repay(1, payment, { value: payment });
+      expect(await revenueLoan.remainingObligation(1)).to.equal(requiredRepayment.sub(payment));
+
+      const rest = requiredRepayment.sub(payment);
+      await revenueLoan.connect(borrower).repay(1, rest, { value: rest });
+      expect(await revenueLoan.remainingObligation(1)).to.equal(0);
+    });
+
     it("Should revert if not borrower", async function () {
       await expect(
-        revenueLoan.connect(other).repay(1, { value: PRINCIPAL })
+        revenueLoan.connect(other).repay(1, PRINCIPAL, { value: PRINCIPAL })
       ).to.be.revertedWith("Not the borrower");
     });
 
@@ -215,36 +645,125 @@ describe("RevenueLoan", function () {
         PRINCIPAL,
         REVENUE_SHARE,
         REPAYMENT_CAP,
-        DURATION
+        DURATION,
+        deadline,
+        NATIVE,
+        0,
+        NO_SCHEDULE,
+        NO_GRACE
       );
       await expect(
-        revenueLoan.connect(borrower).repay(2, { value: PRINCIPAL })
+        revenueLoan.connect(borrower).repay(2, PRINCIPAL, { value: PRINCIPAL })
       ).to.be.revertedWith("Loan not funded");
     });
 
     it("Should revert if loan not active", async function () {
       // Fully repay
       const requiredRepayment = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
-      await revenueLoan.connect(borrower).repay(1, { value: requiredRepayment });
+      await revenueLoan.connect(borrower).repay(1, requiredRepayment, { value: requiredRepayment });
+      const extra = ethers.utils.parseEther("1");
       await expect(
-        revenueLoan.connect(borrower).repay(1, { value: ethers.utils.parseEther("1") })
+        revenueLoan.connect(borrower).repay(1, extra, { value: extra })
       ).to.be.revertedWith("Loan is not active");
     });
 
     it("Should revert if repayment amount is 0", async function () {
       await expect(
-        revenueLoan.connect(borrower).repay(1, { value: 0 })
+        revenueLoan.connect(borrower).repay(1, 0, { value: 0 })
       ).to.be.revertedWith("Repayment amount must be >0");
     });
 
     it("Should prevent double collateral release (collateral already zero)", async function () {
       const requiredRepayment = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
-      await revenueLoan.connect(borrower).repay(1, { value: requiredRepayment });
+      await revenueLoan.connect(borrower).repay(1, requiredRepayment, { value: requiredRepayment });
       const loan = await revenueLoan.loans(1);
       expect(loan.collateralAmount).to.equal(0);
     });
   });
 
+  describe("Pull-based Payouts", function () {
+    let receiver;
+
+    beforeEach(async function () {
+      const RejectingReceiver = await ethers.getContractFactory("RejectingReceiver");
+      receiver = await RejectingReceiver.deploy(revenueLoan.address);
+      await receiver.deployed();
+
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+      await receiver.connect(lender).fund(1, PRINCIPAL, { value: PRINCIPAL });
+    });
+
+    it("Should credit a rejecting lender instead of blocking repayment", async function () {
+      const payment = ethers.utils.parseEther("2");
+
+      await expect(revenueLoan.connect(borrower).repay(1, payment, { value: payment }))
+        .to.emit(revenueLoan, "Withdrawable")
+        .withArgs(receiver.address, NATIVE, payment);
+
+      expect(await revenueLoan.withdrawable(receiver.address, NATIVE)).to.equal(payment);
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalRepaid).to.equal(payment);
+    });
+
+    it("Should let the borrower repay to the cap and recover collateral", async function () {
+      const required = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+
+      await expect(revenueLoan.connect(borrower).repay(1, required, { value: required }))
+        .to.emit(revenueLoan, "LoanClosed")
+        .withArgs(1);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.active).to.be.false;
+      expect(await revenueLoan.withdrawable(borrower.address, NATIVE)).to.equal(0);
+    });
+
+    it("Should let the lender withdraw credited payouts later", async function () {
+      const payment = ethers.utils.parseEther("2");
+      await revenueLoan.connect(borrower).repay(1, payment, { value: payment });
+
+      await receiver.setRejectPayments(false);
+      await expect(receiver.withdraw(NATIVE))
+        .to.emit(revenueLoan, "Withdrawn")
+        .withArgs(receiver.address, NATIVE, payment)
+        .and.to.changeEtherBalance(receiver, payment);
+
+      expect(await revenueLoan.withdrawable(receiver.address, NATIVE)).to.equal(0);
+    });
+
+    it("Should keep the balance if withdrawal is still rejected", async function () {
+      const payment = ethers.utils.parseEther("2");
+      await revenueLoan.connect(borrower).repay(1, payment, { value: payment });
+
+      await expect(receiver.withdraw(NATIVE)).to.be.revertedWithCustomError(revenueLoan, "TransferFailed");
+      expect(await revenueLoan.withdrawable(receiver.address, NATIVE)).to.equal(payment);
+    });
+
+    it("Should credit claimed collateral to a rejecting lender", async function () {
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await receiver.claim(1);
+      expect(await revenueLoan.withdrawable(receiver.address, NATIVE)).to.equal(COLLATERAL);
+    });
+
+    it("Should revert withdraw with nothing credited", async function () {
+      await expect(
+        revenueLoan.connect(other).withdraw(NATIVE)
+      ).to.be.revertedWithCustomError(revenueLoan, "NothingToWithdraw");
+    });
+  });
+
   describe("Collateral Claim", function () {
     beforeEach(async function () {
       await revenueLoan.connect(borrower).createLoan(
@@ -252,9 +771,14 @@ describe("RevenueLoan", function () {
         REVENUE_SHARE,
         REPAYMENT_CAP,
         DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
         { value: COLLATERAL }
       );
-      await revenueLoan.connect(lender).fundLoan(1, { value: PRINCIPAL });
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
     });
 
     it("Should allow lender to claim collateral after default", async function () {
@@ -288,7 +812,7 @@ describe("RevenueLoan", function () {
 
     it("Should revert if loan is fully repaid", async function () {
       const requiredRepayment = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
-      await revenueLoan.connect(borrower).repay(1, { value: requiredRepayment });
+      await revenueLoan.connect(borrower).repay(1, requiredRepayment, { value: requiredRepayment });
 
       await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
       await ethers.provider.send("evm_mine", []);
@@ -314,6 +838,11 @@ describe("RevenueLoan", function () {
         REVENUE_SHARE,
         REPAYMENT_CAP,
         DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
         { value: COLLATERAL }
       );
       await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
@@ -326,7 +855,7 @@ describe("RevenueLoan", function () {
 
     it("Should revert if loan already inactive", async function () {
       const requiredRepayment = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
-      await revenueLoan.connect(borrower).repay(1, { value: requiredRepayment });
+      await revenueLoan.connect(borrower).repay(1, requiredRepayment, { value: requiredRepayment });
 
       await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
       await ethers.provider.send("evm_mine", []);
@@ -342,9 +871,14 @@ describe("RevenueLoan", function () {
         PRINCIPAL,
         REVENUE_SHARE,
         REPAYMENT_CAP,
-        DURATION
+        DURATION,
+        deadline,
+        NATIVE,
+        0,
+        NO_SCHEDULE,
+        NO_GRACE
       );
-      await revenueLoan.connect(lender).fundLoan(2, { value: PRINCIPAL });
+      await revenueLoan.connect(lender).fundLoan(2, PRINCIPAL, { value: PRINCIPAL });
 
       await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
       await ethers.provider.send("evm_mine", []);
@@ -366,4 +900,2277 @@ describe("RevenueLoan", function () {
       ).to.be.revertedWith("Loan is not active");
     });
   });
+
+  describe("Revenue Reporting", function () {
+    let reporter;
+    const REVENUE = ethers.utils.parseEther("30"); // 10% share => 3 ETH owed
+    const TERM = 30 * 24 * 60 * 60; // outlives the payment window
+
+    async function signAttestation(signer, loanId, revenue) {
+      const hash = await revenueLoan.revenueAttestationHash(loanId, revenue);
+      return signer.signMessage(ethers.utils.arrayify(hash));
+    }
+
+    beforeEach(async function () {
+      reporter = other;
+      await govern("grantRole", [await revenueLoan.REPORTER_ROLE(), reporter.address]);
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        TERM,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+    });
+
+    it("Should record the revenue share as an outstanding obligation", async function () {
+      const owed = REVENUE.mul(REVENUE_SHARE).div(100);
+
+      await expect(revenueLoan.connect(reporter).reportRevenue(1, REVENUE))
+        .to.emit(revenueLoan, "RevenueReported");
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalOwed).to.equal(owed);
+      expect(loan.obligationDueTime).to.be.gt(0);
+      expect(await revenueLoan.revenueReportCount(1)).to.equal(1);
+    });
+
+    it("Should cap the obligation at the repayment cap", async function () {
+      await revenueLoan.connect(reporter).reportRevenue(1, ethers.utils.parseEther("1000"));
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalOwed).to.equal(PRINCIPAL.mul(REPAYMENT_CAP).div(100));
+    });
+
+    it("Should revert if caller is not a reporter", async function () {
+      await expect(
+        revenueLoan.connect(lender).reportRevenue(1, REVENUE)
+      ).to.be.revertedWithCustomError(revenueLoan, "NotRevenueReporter");
+    });
+
+    it("Should revert if revenue is 0", async function () {
+      await expect(
+        revenueLoan.connect(reporter).reportRevenue(1, 0)
+      ).to.be.revertedWithCustomError(revenueLoan, "InvalidRevenue");
+    });
+
+    it("Should accept a borrower-submitted attestation signed by a reporter", async function () {
+      const signature = await signAttestation(reporter, 1, REVENUE);
+      await revenueLoan.connect(borrower).submitRevenueAttestation(1, REVENUE, signature);
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalOwed).to.equal(REVENUE.mul(REVENUE_SHARE).div(100));
+    });
+
+    it("Should reject replayed or unauthorized attestations", async function () {
+      const signature = await signAttestation(reporter, 1, REVENUE);
+      await revenueLoan.connect(borrower).submitRevenueAttestation(1, REVENUE, signature);
+
+      await expect(
+        revenueLoan.connect(borrower).submitRevenueAttestation(1, REVENUE, signature)
+      ).to.be.revertedWithCustomError(revenueLoan, "InvalidAttestation");
+
+      const forged = await signAttestation(borrower, 1, REVENUE);
+      await expect(
+        revenueLoan.connect(borrower).submitRevenueAttestation(1, REVENUE, forged)
+      ).to.be.revertedWithCustomError(revenueLoan, "InvalidAttestation");
+    });
+
+    it("Should allow collateral claim before maturity once an obligation is overdue", async function () {
+      await revenueLoan.connect(reporter).reportRevenue(1, REVENUE);
+
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+
+      const window = await revenueLoan.REVENUE_PAYMENT_WINDOW();
+      await ethers.provider.send("evm_increaseTime", [window.toNumber() + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted")
+        .withArgs(1);
+    });
+
+    it("Should not default before maturity when the obligation is paid", async function () {
+      await revenueLoan.connect(reporter).reportRevenue(1, REVENUE);
+      const owed = REVENUE.mul(REVENUE_SHARE).div(100);
+      await revenueLoan.connect(borrower).repay(1, owed, { value: owed });
+
+      const window = await revenueLoan.REVENUE_PAYMENT_WINDOW();
+      await ethers.provider.send("evm_increaseTime", [window.toNumber() + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+    });
+  });
+
+  describe("Installment Schedules", function () {
+    const TERM = 30 * 24 * 60 * 60;
+    const PERIOD = 7 * 24 * 60 * 60;
+    const INSTALLMENT = ethers.utils.parseEther("3");
+    const MISSED_TO_DEFAULT = 2;
+    const SCHEDULE = [PERIOD, INSTALLMENT, 0, MISSED_TO_DEFAULT];
+
+    async function createScheduledLoan(schedule = SCHEDULE) {
+      return revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        TERM,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        schedule,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    }
+
+    async function fundAndGetStart() {
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      return (await revenueLoan.loans(1)).startTime.toNumber();
+    }
+
+    async function increaseTimeTo(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    it("Should store the schedule and emit PaymentScheduleSet", async function () {
+      await expect(createScheduledLoan())
+        .to.emit(revenueLoan, "PaymentScheduleSet")
+        .withArgs(1, PERIOD, INSTALLMENT, 0, MISSED_TO_DEFAULT);
+
+      const schedule = await revenueLoan.schedules(1);
+      expect(schedule.period).to.equal(PERIOD);
+      expect(schedule.installmentAmount).to.equal(INSTALLMENT);
+      expect(schedule.missedPeriodsToDefault).to.equal(MISSED_TO_DEFAULT);
+    });
+
+    it("Should reject malformed schedules", async function () {
+      const invalid = [
+        [PERIOD, INSTALLMENT, 25, MISSED_TO_DEFAULT], // both amount and percent
+        [PERIOD, 0, 0, MISSED_TO_DEFAULT],            // neither
+        [PERIOD, 0, 101, MISSED_TO_DEFAULT],          // more than the cap per period
+        [TERM + 1, INSTALLMENT, 0, MISSED_TO_DEFAULT], // period longer than the loan
+        [PERIOD, INSTALLMENT, 0, 0],                  // never defaults
+        [0, INSTALLMENT, 0, 0]                        // no period
+      ];
+      for (const schedule of invalid) {
+        await expect(createScheduledLoan(schedule))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidSchedule");
+      }
+    });
+
+    it("Should accumulate the amount due each period", async function () {
+      await createScheduledLoan();
+      const start = await fundAndGetStart();
+      expect(await revenueLoan.amountDue(1)).to.equal(0);
+
+      await increaseTimeTo(start + PERIOD);
+      expect(await revenueLoan.amountDue(1)).to.equal(INSTALLMENT);
+
+      await increaseTimeTo(start + 2 * PERIOD);
+      expect(await revenueLoan.amountDue(1)).to.equal(INSTALLMENT.mul(2));
+
+      // The full cap is due after maturity
+      await increaseTimeTo(start + TERM + 1);
+      expect(await revenueLoan.amountDue(1)).to.equal(PRINCIPAL.mul(REPAYMENT_CAP).div(100));
+    });
+
+    it("Should size installments as a percentage of the cap", async function () {
+      await createScheduledLoan([PERIOD, 0, 25, MISSED_TO_DEFAULT]);
+      const start = await fundAndGetStart();
+
+      await increaseTimeTo(start + PERIOD);
+      // 25% of the 12 ETH cap
+      expect(await revenueLoan.amountDue(1)).to.equal(ethers.utils.parseEther("3"));
+    });
+
+    it("Should report the next due date and arrears in getLoan", async function () {
+      await createScheduledLoan();
+      const start = await fundAndGetStart();
+
+      let [, nextDueDate, arrears] = await revenueLoan.getLoan(1);
+      expect(nextDueDate).to.equal(start + PERIOD);
+      expect(arrears).to.equal(0);
+
+      await increaseTimeTo(start + PERIOD + 1);
+      [, nextDueDate, arrears] = await revenueLoan.getLoan(1);
+      expect(nextDueDate).to.equal(start + 2 * PERIOD);
+      expect(arrears).to.equal(INSTALLMENT);
+
+      const partial = ethers.utils.parseEther("1");
+      await revenueLoan.connect(borrower).repay(1, partial, { value: partial });
+      [, , arrears] = await revenueLoan.getLoan(1);
+      expect(arrears).to.equal(INSTALLMENT.sub(partial));
+    });
+
+    it("Should report maturity as the next due date without a schedule", async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        TERM,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+      const start = await fundAndGetStart();
+
+      const [, nextDueDate, arrears] = await revenueLoan.getLoan(1);
+      expect(nextDueDate).to.equal(start + TERM);
+      expect(arrears).to.equal(0);
+    });
+
+    it("Should allow default after the configured number of missed periods", async function () {
+      await createScheduledLoan();
+      const start = await fundAndGetStart();
+
+      await increaseTimeTo(start + PERIOD + 1);
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+
+      await increaseTimeTo(start + 2 * PERIOD + 1);
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted")
+        .withArgs(1);
+    });
+
+    it("Should count a partly paid installment as missed", async function () {
+      await createScheduledLoan();
+      const start = await fundAndGetStart();
+
+      const partial = ethers.utils.parseEther("4"); // covers period 1, part of period 2
+      await revenueLoan.connect(borrower).repay(1, partial, { value: partial });
+
+      await increaseTimeTo(start + 3 * PERIOD + 1);
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted");
+    });
+
+    it("Should not default while installments are kept up", async function () {
+      await createScheduledLoan();
+      const start = await fundAndGetStart();
+
+      await increaseTimeTo(start + 2 * PERIOD);
+      const due = INSTALLMENT.mul(2);
+      await revenueLoan.connect(borrower).repay(1, due, { value: due });
+
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+    });
+  });
+
+  describe("Grace Period and Late Fees", function () {
+    const DAY = 24 * 60 * 60;
+    const GRACE = 5 * DAY;
+    const FEE_BPS = 10; // 0.1% of the unpaid cap per day
+    const CAP = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+    let maturity;
+
+    // Late fee on `unpaid` for `days` days at FEE_BPS
+    const fee = (unpaid, days) => unpaid.mul(FEE_BPS * days).div(10000);
+
+    async function at(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        [GRACE, FEE_BPS],
+        { value: COLLATERAL }
+      );
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      const loan = await revenueLoan.loans(1);
+      maturity = loan.startTime.add(DURATION).toNumber();
+    });
+
+    it("Should store the grace policy", async function () {
+      const policy = await revenueLoan.gracePolicies(1);
+      expect(policy.period).to.equal(GRACE);
+      expect(policy.lateFeeBpsPerDay).to.equal(FEE_BPS);
+    });
+
+    it("Should reject a fee above the maximum or without a grace window", async function () {
+      const max = (await revenueLoan.MAX_LATE_FEE_BPS_PER_DAY()).toNumber();
+      for (const policy of [[GRACE, max + 1], [0, FEE_BPS]]) {
+        await expect(
+          revenueLoan.connect(borrower).createLoan(
+            PRINCIPAL,
+            REVENUE_SHARE,
+            REPAYMENT_CAP,
+            DURATION,
+            deadline,
+            NATIVE,
+            0,
+            NO_SCHEDULE,
+            policy
+          )
+        ).to.be.revertedWithCustomError(revenueLoan, "InvalidGracePolicy");
+      }
+    });
+
+    it("Should block collateral claims until the grace window ends", async function () {
+      await at(maturity + GRACE - 1); // next tx lands on the last second of the window
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "GracePeriodActive");
+
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted")
+        .withArgs(1);
+    });
+
+    it("Should accrue late fees on the unpaid cap during the window", async function () {
+      await at(maturity + 2 * DAY);
+      expect(await revenueLoan.lateFeesOwed(1)).to.equal(fee(CAP, 2));
+      expect(await revenueLoan.remainingObligation(1)).to.equal(CAP.add(fee(CAP, 2)));
+    });
+
+    it("Should stop accruing late fees after the window", async function () {
+      await at(maturity + GRACE + 10 * DAY);
+      expect(await revenueLoan.lateFeesOwed(1)).to.equal(fee(CAP, 5));
+    });
+
+    it("Should let the borrower cure by paying the cap plus fees", async function () {
+      const total = CAP.add(fee(CAP, 2));
+      await ethers.provider.send("evm_setNextBlockTimestamp", [maturity + 2 * DAY]);
+
+      await expect(revenueLoan.connect(borrower).repay(1, total, { value: total }))
+        .to.emit(revenueLoan, "LateFeePaid")
+        .withArgs(1, fee(CAP, 2))
+        .and.to.emit(revenueLoan, "LoanClosed");
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.active).to.be.false;
+      expect(loan.totalRepaid).to.equal(CAP);
+      expect(loan.collateralAmount).to.equal(0);
+    });
+
+    it("Should keep fees accrued before a partial payment", async function () {
+      const half = CAP.div(2);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [maturity + DAY]);
+      await revenueLoan.connect(borrower).repay(1, half, { value: half });
+
+      await at(maturity + 2 * DAY);
+      expect(await revenueLoan.lateFeesOwed(1)).to.equal(fee(CAP, 1).add(fee(half, 1)));
+    });
+  });
+
+  describe("Collateral Surplus", function () {
+    const LARGE_COLLATERAL = ethers.utils.parseEther("10");
+
+    beforeEach(async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        LARGE_COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: LARGE_COLLATERAL }
+      );
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+    });
+
+    it("Should only seize the owed portion and return the rest to the borrower", async function () {
+      const paid = ethers.utils.parseEther("11"); // 1 ETH short of the 12 ETH cap
+      await revenueLoan.connect(borrower).repay(1, paid, { value: paid });
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      const owed = ethers.utils.parseEther("1");
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.changeEtherBalances(
+        [lender, borrower, revenueLoan],
+        [owed, LARGE_COLLATERAL.sub(owed), LARGE_COLLATERAL.mul(-1)]
+      );
+    });
+  });
+
+  describe("Protocol Fees", function () {
+    const ORIGINATION_BPS = 100; // 1%
+    const SERVICING_BPS = 500; // 5%
+
+    async function createDefaultLoan() {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    }
+
+    it("Should let the parameter admin set bounded fee rates", async function () {
+      await expect(govern("setFeeRates", [ORIGINATION_BPS, SERVICING_BPS]))
+        .to.emit(revenueLoan, "FeeRatesUpdated")
+        .withArgs(ORIGINATION_BPS, SERVICING_BPS);
+
+      const rates = await revenueLoan.feeRates();
+      expect(rates.originationBps).to.equal(ORIGINATION_BPS);
+      expect(rates.servicingBps).to.equal(SERVICING_BPS);
+
+      const maxOrigination = await revenueLoan.MAX_ORIGINATION_FEE_BPS();
+      const maxServicing = await revenueLoan.MAX_SERVICING_FEE_BPS();
+      // The timelock bubbles up the protocol's revert
+      await expect(govern("setFeeRates", [maxOrigination.add(1), 0]))
+        .to.be.revertedWithCustomError(revenueLoan, "FeeTooHigh");
+      await expect(govern("setFeeRates", [0, maxServicing.add(1)]))
+        .to.be.revertedWithCustomError(revenueLoan, "FeeTooHigh");
+    });
+
+    it("Should take the origination fee from the disbursed principal", async function () {
+      await govern("setFeeRates", [ORIGINATION_BPS, 0]);
+      await createDefaultLoan();
+
+      const fee = PRINCIPAL.mul(ORIGINATION_BPS).div(10000);
+      await expect(revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL }))
+        .to.emit(revenueLoan, "ProtocolFeeCharged")
+        .withArgs(1, NATIVE, fee)
+        .and.to.changeEtherBalance(borrower, PRINCIPAL.sub(fee));
+
+      expect(await revenueLoan.protocolFees(NATIVE)).to.equal(fee);
+    });
+
+    it("Should skim the servicing fee from each repayment", async function () {
+      await govern("setFeeRates", [0, SERVICING_BPS]);
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+
+      const payment = ethers.utils.parseEther("4");
+      const fee = payment.mul(SERVICING_BPS).div(10000);
+      await expect(
+        revenueLoan.connect(borrower).repay(1, payment, { value: payment })
+      ).to.changeEtherBalance(lender, payment.sub(fee));
+
+      // The borrower is credited with the full payment
+      expect((await revenueLoan.loans(1)).totalRepaid).to.equal(payment);
+      expect(await revenueLoan.protocolFees(NATIVE)).to.equal(fee);
+    });
+
+    it("Should keep the rates a loan was created under", async function () {
+      await createDefaultLoan();
+      await govern("setFeeRates", [ORIGINATION_BPS, SERVICING_BPS]);
+
+      const snapshot = await revenueLoan.loanFeeRates(1);
+      expect(snapshot.originationBps).to.equal(0);
+      expect(snapshot.servicingBps).to.equal(0);
+
+      await expect(
+        revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL })
+      ).to.changeEtherBalance(borrower, PRINCIPAL);
+    });
+
+    it("Should let only a treasury withdraw collected fees", async function () {
+      await govern("setFeeRates", [ORIGINATION_BPS, 0]);
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      const fee = PRINCIPAL.mul(ORIGINATION_BPS).div(10000);
+
+      await expect(revenueLoan.connect(other).withdrawProtocolFees(NATIVE))
+        .to.be.revertedWithCustomError(revenueLoan, "NotTreasury");
+
+      await expect(revenueLoan.connect(owner).withdrawProtocolFees(NATIVE))
+        .to.emit(revenueLoan, "ProtocolFeesWithdrawn")
+        .withArgs(owner.address, NATIVE, fee)
+        .and.to.changeEtherBalance(owner, fee);
+
+      await expect(revenueLoan.connect(owner).withdrawProtocolFees(NATIVE))
+        .to.be.revertedWithCustomError(revenueLoan, "NothingToWithdraw");
+    });
+  });
+
+  describe("Loan Offers", function () {
+    const LIQUIDITY = ethers.utils.parseEther("20");
+    const MIN_CAP = 110;
+    const MIN_COLLATERAL_BPS = 2000; // 20% of principal
+
+    async function postDefaultOffer(liquidity = LIQUIDITY) {
+      return revenueLoan.connect(lender).postOffer(
+        NATIVE,
+        liquidity,
+        PRINCIPAL,
+        MIN_CAP,
+        DURATION,
+        MIN_COLLATERAL_BPS,
+        { value: liquidity }
+      );
+    }
+
+    async function takeDefaultOffer(overrides = {}) {
+      const terms = {
+        amount: PRINCIPAL,
+        cap: REPAYMENT_CAP,
+        duration: DURATION,
+        collateral: COLLATERAL,
+        ...overrides
+      };
+      return revenueLoan.connect(borrower).takeOffer(
+        1,
+        terms.amount,
+        REVENUE_SHARE,
+        terms.cap,
+        terms.duration,
+        terms.collateral,
+        { value: terms.collateral }
+      );
+    }
+
+    it("Should escrow the liquidity of a posted offer", async function () {
+      await expect(postDefaultOffer())
+        .to.emit(revenueLoan, "OfferPosted")
+        .withArgs(1, lender.address, NATIVE, LIQUIDITY, PRINCIPAL, MIN_CAP, DURATION, MIN_COLLATERAL_BPS)
+        .and.to.changeEtherBalance(revenueLoan, LIQUIDITY);
+
+      const offer = await revenueLoan.offers(1);
+      expect(offer.lender).to.equal(lender.address);
+      expect(offer.liquidity).to.equal(LIQUIDITY);
+    });
+
+    it("Should reject malformed offers", async function () {
+      const post = (liquidity, value, maxPrincipal, minCap, maxDuration, minRatio) =>
+        revenueLoan.connect(lender).postOffer(NATIVE, liquidity, maxPrincipal, minCap, maxDuration, minRatio, { value });
+
+      await expect(post(LIQUIDITY, PRINCIPAL, PRINCIPAL, MIN_CAP, DURATION, 0))
+        .to.be.revertedWithCustomError(revenueLoan, "IncorrectFundingAmount");
+      await expect(post(LIQUIDITY, LIQUIDITY, 0, MIN_CAP, DURATION, 0))
+        .to.be.revertedWithCustomError(revenueLoan, "InvalidOffer");
+      await expect(post(LIQUIDITY, LIQUIDITY, PRINCIPAL, 99, DURATION, 0))
+        .to.be.revertedWithCustomError(revenueLoan, "InvalidOffer");
+      await expect(post(LIQUIDITY, LIQUIDITY, PRINCIPAL, MIN_CAP, 0, 0))
+        .to.be.revertedWithCustomError(revenueLoan, "InvalidOffer");
+      await expect(post(LIQUIDITY, LIQUIDITY, PRINCIPAL, MIN_CAP, DURATION, 10001))
+        .to.be.revertedWithCustomError(revenueLoan, "InvalidOffer");
+    });
+
+    it("Should create and fund a loan in one transaction", async function () {
+      await postDefaultOffer();
+
+      // Borrower receives the principal and posts collateral in the same transaction
+      await expect(takeDefaultOffer())
+        .to.emit(revenueLoan, "OfferTaken")
+        .withArgs(1, 1, borrower.address, PRINCIPAL)
+        .and.to.emit(revenueLoan, "LoanFunded")
+        .withArgs(1, lender.address)
+        .and.to.changeEtherBalance(borrower, PRINCIPAL.sub(COLLATERAL));
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.lender).to.equal(lender.address);
+      expect(loan.active).to.be.true;
+      expect(loan.collateralAmount).to.equal(COLLATERAL);
+
+      const [, holders] = await revenueLoan.getLoanNotes(1);
+      expect(holders).to.deep.equal([lender.address]);
+      expect((await revenueLoan.offers(1)).liquidity).to.equal(LIQUIDITY.sub(PRINCIPAL));
+    });
+
+    it("Should route repayments of an offer loan to the lender", async function () {
+      await postDefaultOffer();
+      await takeDefaultOffer();
+
+      const payment = ethers.utils.parseEther("3");
+      await expect(
+        revenueLoan.connect(borrower).repay(1, payment, { value: payment })
+      ).to.changeEtherBalance(lender, payment);
+    });
+
+    it("Should reject terms outside the offer", async function () {
+      await postDefaultOffer();
+      const outside = [
+        { amount: PRINCIPAL.add(1) },
+        { cap: MIN_CAP - 1 },
+        { duration: DURATION + 1 },
+        { collateral: PRINCIPAL.mul(MIN_COLLATERAL_BPS).div(10000).sub(1) }
+      ];
+      for (const overrides of outside) {
+        await expect(takeDefaultOffer(overrides))
+          .to.be.revertedWithCustomError(revenueLoan, "OfferTermsNotMet");
+      }
+    });
+
+    it("Should not draw more than the offer's remaining liquidity", async function () {
+      await postDefaultOffer(PRINCIPAL.div(2));
+      await expect(takeDefaultOffer())
+        .to.be.revertedWithCustomError(revenueLoan, "InsufficientOfferLiquidity");
+    });
+
+    it("Should not let the lender take their own offer", async function () {
+      await postDefaultOffer();
+      await expect(
+        revenueLoan.connect(lender).takeOffer(1, PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, DURATION, COLLATERAL, { value: COLLATERAL })
+      ).to.be.revertedWithCustomError(revenueLoan, "BorrowerCannotFundOwnLoan");
+    });
+
+    it("Should revert for an unknown offer", async function () {
+      await expect(takeDefaultOffer())
+        .to.be.revertedWithCustomError(revenueLoan, "OfferDoesNotExist");
+    });
+
+    it("Should let the lender withdraw unused liquidity at any time", async function () {
+      await postDefaultOffer();
+      await takeDefaultOffer();
+      await revenueLoan.connect(owner).pause();
+
+      const unused = LIQUIDITY.sub(PRINCIPAL);
+      await expect(revenueLoan.connect(other).withdrawOfferLiquidity(1, unused))
+        .to.be.revertedWithCustomError(revenueLoan, "NotOfferLender");
+      await expect(revenueLoan.connect(lender).withdrawOfferLiquidity(1, unused.add(1)))
+        .to.be.revertedWithCustomError(revenueLoan, "InsufficientOfferLiquidity");
+
+      await expect(revenueLoan.connect(lender).withdrawOfferLiquidity(1, unused))
+        .to.emit(revenueLoan, "OfferLiquidityWithdrawn")
+        .withArgs(1, unused)
+        .and.to.changeEtherBalance(lender, unused);
+    });
+  });
+
+  describe("Credit History", function () {
+    const CAP = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+
+    async function createAndFund() {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+      const loanId = (await revenueLoan.nextLoanId()).sub(1);
+      await revenueLoan.connect(lender).fundLoan(loanId, PRINCIPAL, { value: PRINCIPAL });
+      return loanId;
+    }
+
+    async function repayInFullAfter(loanId, seconds) {
+      const { startTime } = await revenueLoan.loans(loanId);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [startTime.toNumber() + seconds]);
+      await revenueLoan.connect(borrower).repay(loanId, CAP, { value: CAP });
+    }
+
+    it("Should start empty for a new borrower", async function () {
+      const [history, average] = await revenueLoan.getCreditHistory(borrower.address);
+      expect(history.loansTaken).to.equal(0);
+      expect(history.loansRepaid).to.equal(0);
+      expect(history.defaults).to.equal(0);
+      expect(average).to.equal(0);
+    });
+
+    it("Should count funded loans and borrowed volume", async function () {
+      await createAndFund();
+      await createAndFund();
+
+      const [history] = await revenueLoan.getCreditHistory(borrower.address);
+      expect(history.loansTaken).to.equal(2);
+      expect(await revenueLoan.borrowedVolume(borrower.address, NATIVE)).to.equal(PRINCIPAL.mul(2));
+    });
+
+    it("Should not count unfunded requests", async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        0,
+        NO_SCHEDULE,
+        NO_GRACE
+      );
+      const [history] = await revenueLoan.getCreditHistory(borrower.address);
+      expect(history.loansTaken).to.equal(0);
+    });
+
+    it("Should record loans repaid to the cap and the average time to repay", async function () {
+      const first = await createAndFund();
+      await repayInFullAfter(first, 1000);
+      const second = await createAndFund();
+      await repayInFullAfter(second, 3000);
+
+      const [history, average] = await revenueLoan.getCreditHistory(borrower.address);
+      expect(history.loansRepaid).to.equal(2);
+      expect(history.totalRepaymentTime).to.equal(4000);
+      expect(average).to.equal(2000);
+    });
+
+    it("Should not count partial repayments as repaid loans", async function () {
+      const loanId = await createAndFund();
+      const partial = CAP.div(2);
+      await revenueLoan.connect(borrower).repay(loanId, partial, { value: partial });
+
+      const [history] = await revenueLoan.getCreditHistory(borrower.address);
+      expect(history.loansRepaid).to.equal(0);
+    });
+
+    it("Should record defaults when collateral is claimed", async function () {
+      const loanId = await createAndFund();
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+      await revenueLoan.connect(lender).claimCollateral(loanId);
+
+      const [history] = await revenueLoan.getCreditHistory(borrower.address);
+      expect(history.defaults).to.equal(1);
+      expect(history.loansRepaid).to.equal(0);
+    });
+  });
+
+  describe("Enumeration Views", function () {
+    const ids = (page) => page.loanIds.map((id) => id.toNumber());
+
+    async function createRequest(from = borrower) {
+      await revenueLoan.connect(from).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        0,
+        NO_SCHEDULE,
+        NO_GRACE
+      );
+    }
+
+    it("Should page through a borrower's loans", async function () {
+      await createRequest();
+      await createRequest(other);
+      await createRequest();
+      await createRequest();
+
+      let page = await revenueLoan.getLoanIdsByBorrower(borrower.address, 0, 10);
+      expect(ids(page)).to.deep.equal([1, 3, 4]);
+      expect(page.total).to.equal(3);
+
+      page = await revenueLoan.getLoanIdsByBorrower(borrower.address, 1, 1);
+      expect(ids(page)).to.deep.equal([3]);
+
+      page = await revenueLoan.getLoanIdsByBorrower(borrower.address, 5, 10);
+      expect(ids(page)).to.deep.equal([]);
+      expect(page.total).to.equal(3);
+    });
+
+    it("Should index loans by every contributing lender once funded", async function () {
+      const lender2 = (await ethers.getSigners())[4];
+      const half = PRINCIPAL.div(2);
+      await createRequest();
+      await createRequest();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await revenueLoan.connect(lender).fundLoan(2, half, { value: half });
+
+      // Partial commitments are not indexed until the loan activates
+      expect(ids(await revenueLoan.getLoanIdsByLender(lender.address, 0, 10))).to.deep.equal([1]);
+
+      await revenueLoan.connect(lender2).fundLoan(2, half, { value: half });
+      expect(ids(await revenueLoan.getLoanIdsByLender(lender.address, 0, 10))).to.deep.equal([1, 2]);
+      expect(ids(await revenueLoan.getLoanIdsByLender(lender2.address, 0, 10))).to.deep.equal([2]);
+    });
+
+    it("Should move a loan to the note buyer in the lender index", async function () {
+      const lender2 = (await ethers.getSigners())[4];
+      const loanNote = await ethers.getContractAt("LoanNote", await revenueLoan.loanNote());
+      const half = PRINCIPAL.div(2);
+      await createRequest();
+      await revenueLoan.connect(lender).fundLoan(1, half, { value: half });
+      await revenueLoan.connect(lender2).fundLoan(1, half, { value: half });
+
+      // Notes 1 and 2 belong to lender and lender2; the seller stays listed while holding the other
+      await loanNote.connect(lender2).transferFrom(lender2.address, lender.address, 2);
+      expect(ids(await revenueLoan.getLoanIdsByLender(lender2.address, 0, 10))).to.deep.equal([]);
+      await loanNote.connect(lender).transferFrom(lender.address, other.address, 1);
+      expect(ids(await revenueLoan.getLoanIdsByLender(lender.address, 0, 10))).to.deep.equal([1]);
+      expect(ids(await revenueLoan.getLoanIdsByLender(other.address, 0, 10))).to.deep.equal([1]);
+
+      await loanNote.connect(lender).transferFrom(lender.address, other.address, 2);
+      expect(ids(await revenueLoan.getLoanIdsByLender(lender.address, 0, 10))).to.deep.equal([]);
+
+      await expect(revenueLoan.onNoteTransfer(1, other.address, owner.address))
+        .to.be.revertedWithCustomError(revenueLoan, "NotLoanNote");
+    });
+
+    it("Should track open requests and active loans", async function () {
+      await createRequest();
+      await createRequest();
+      await createRequest();
+      expect(ids(await revenueLoan.getOpenLoanIds(0, 10))).to.have.members([1, 2, 3]);
+      expect(ids(await revenueLoan.getActiveLoanIds(0, 10))).to.deep.equal([]);
+
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await revenueLoan.connect(borrower).cancelLoan(2);
+      expect(ids(await revenueLoan.getOpenLoanIds(0, 10))).to.deep.equal([3]);
+      expect(ids(await revenueLoan.getActiveLoanIds(0, 10))).to.deep.equal([1]);
+
+      const cap = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await revenueLoan.connect(borrower).repay(1, cap, { value: cap });
+      expect(ids(await revenueLoan.getActiveLoanIds(0, 10))).to.deep.equal([]);
+    });
+
+    it("Should drop expired requests once refunded", async function () {
+      await createRequest();
+      await ethers.provider.send("evm_increaseTime", [FUNDING_WINDOW + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      expect(ids(await revenueLoan.getOpenLoanIds(0, 10))).to.deep.equal([1]);
+      await revenueLoan.connect(other).refundExpiredLoan(1);
+      expect(ids(await revenueLoan.getOpenLoanIds(0, 10))).to.deep.equal([]);
+    });
+
+    it("Should drop defaulted loans from the active set", async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await revenueLoan.connect(lender).claimCollateral(1);
+      expect(ids(await revenueLoan.getActiveLoanIds(0, 10))).to.deep.equal([]);
+    });
+
+    it("Should return several loans in one call", async function () {
+      await createRequest();
+      await createRequest(other);
+      await revenueLoan.connect(lender).fundLoan(2, PRINCIPAL, { value: PRINCIPAL });
+
+      const [loanData, nextDueDates, arrears, fees] = await revenueLoan.getLoans([2, 1]);
+      expect(loanData.map((loan) => loan.borrower)).to.deep.equal([other.address, borrower.address]);
+      expect(loanData[0].active).to.be.true;
+      expect(nextDueDates[0]).to.equal(loanData[0].startTime.add(DURATION));
+      expect(nextDueDates[1]).to.equal(0);
+      expect(arrears).to.deep.equal([0, 0].map(ethers.BigNumber.from));
+      expect(fees.length).to.equal(2);
+
+      // An unknown ID fails the whole batch. Hardhat nests the revert data of a failed
+      // eth_call one level below where ethers looks for it
+      const error = await revenueLoan.callStatic.getLoans([1, 3]).catch((err) => err);
+      const revertData = error.error?.data?.data ?? error.data;
+      expect(revenueLoan.interface.parseError(revertData).name).to.equal("LoanDoesNotExist");
+    });
+  });
+
+  describe("Loan Notes", function () {
+    let loanNote;
+
+    beforeEach(async function () {
+      loanNote = await ethers.getContractAt("LoanNote", await revenueLoan.loanNote());
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    });
+
+    it("Should mint a note to the lender on funding", async function () {
+      await expect(revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL }))
+        .to.emit(revenueLoan, "LoanNoteMinted")
+        .withArgs(1, 1, lender.address, PRINCIPAL);
+
+      expect(await loanNote.ownerOf(1)).to.equal(lender.address);
+      expect(await revenueLoan.noteLoanId(1)).to.equal(1);
+      expect(await revenueLoan.notePrincipal(1)).to.equal(PRINCIPAL);
+    });
+
+    it("Should mint one note per syndicate contributor", async function () {
+      const lender2 = (await ethers.getSigners())[4];
+      const half = PRINCIPAL.div(2);
+      await revenueLoan.connect(lender).fundLoan(1, half, { value: half });
+      await revenueLoan.connect(lender2).fundLoan(1, half, { value: half });
+
+      const [noteIds, holders, amounts] = await revenueLoan.getLoanNotes(1);
+      expect(noteIds.map((id) => id.toNumber())).to.deep.equal([1, 2]);
+      expect(holders).to.deep.equal([lender.address, lender2.address]);
+      expect(amounts).to.deep.equal([half, half]);
+    });
+
+    it("Should not mint notes before the loan is fully funded", async function () {
+      const half = PRINCIPAL.div(2);
+      await revenueLoan.connect(lender).fundLoan(1, half, { value: half });
+      expect(await loanNote.totalSupply()).to.equal(0);
+    });
+
+    it("Should pay repayments to the current note holder", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await loanNote.connect(lender).transferFrom(lender.address, other.address, 1);
+
+      const payment = ethers.utils.parseEther("3");
+      await expect(
+        revenueLoan.connect(borrower).repay(1, payment, { value: payment })
+      ).to.changeEtherBalances([other, lender], [payment, 0]);
+    });
+
+    it("Should move collateral rights with the note", async function () {
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await loanNote.connect(lender).transferFrom(lender.address, other.address, 1);
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.be.revertedWithCustomError(revenueLoan, "NotLender");
+
+      await expect(
+        revenueLoan.connect(other).claimCollateral(1)
+      ).to.changeEtherBalance(other, COLLATERAL);
+    });
+
+    it("Should only let RevenueLoan mint notes", async function () {
+      await expect(
+        loanNote.connect(other).mint(other.address)
+      ).to.be.revertedWithCustomError(loanNote, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Roles and Timelock", function () {
+    let PAUSER_ROLE, PARAMETER_ADMIN_ROLE, REPORTER_ROLE, TREASURY_ROLE, DEFAULT_ADMIN_ROLE;
+
+    beforeEach(async function () {
+      PAUSER_ROLE = await revenueLoan.PAUSER_ROLE();
+      PARAMETER_ADMIN_ROLE = await revenueLoan.PARAMETER_ADMIN_ROLE();
+      REPORTER_ROLE = await revenueLoan.REPORTER_ROLE();
+      TREASURY_ROLE = await revenueLoan.TREASURY_ROLE();
+      DEFAULT_ADMIN_ROLE = await revenueLoan.DEFAULT_ADMIN_ROLE();
+    });
+
+    async function createDefaultLoan() {
+      return revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    }
+
+    it("Should hand governance to the timelock and operations to the deployer", async function () {
+      expect(await revenueLoan.hasRole(DEFAULT_ADMIN_ROLE, timelock.address)).to.be.true;
+      expect(await revenueLoan.hasRole(PARAMETER_ADMIN_ROLE, timelock.address)).to.be.true;
+      expect(await revenueLoan.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+      expect(await revenueLoan.hasRole(TREASURY_ROLE, owner.address)).to.be.true;
+
+      expect(await revenueLoan.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      expect(await revenueLoan.hasRole(PARAMETER_ADMIN_ROLE, owner.address)).to.be.false;
+      expect(await revenueLoan.hasRole(REPORTER_ROLE, owner.address)).to.be.false;
+    });
+
+    it("Should revert deployment without a timelock", async function () {
+      await expect(RevenueLoan.deploy(ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(revenueLoan, "InvalidTimelock");
+    });
+
+    it("Should let only a pauser pause, without delay", async function () {
+      await expect(revenueLoan.connect(other).pause())
+        .to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, PAUSER_ROLE);
+
+      await expect(revenueLoan.connect(owner).pause())
+        .to.emit(revenueLoan, "Paused")
+        .withArgs(owner.address);
+      await expect(createDefaultLoan())
+        .to.be.revertedWithCustomError(revenueLoan, "EnforcedPause");
+    });
+
+    it("Should only unpause through the timelock", async function () {
+      await revenueLoan.connect(owner).pause();
+
+      await expect(revenueLoan.connect(owner).unpause())
+        .to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, PARAMETER_ADMIN_ROLE);
+
+      await expect(govern("unpause", []))
+        .to.emit(revenueLoan, "Unpaused")
+        .withArgs(timelock.address);
+      await expect(createDefaultLoan()).to.emit(revenueLoan, "LoanCreated");
+    });
+
+    it("Should reject direct parameter changes", async function () {
+      await expect(revenueLoan.connect(owner).setFeeRates(0, 0))
+        .to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, PARAMETER_ADMIN_ROLE);
+      await expect(revenueLoan.connect(owner).setAllowedAsset(other.address, true))
+        .to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, PARAMETER_ADMIN_ROLE);
+      await expect(revenueLoan.connect(owner).grantRole(REPORTER_ROLE, owner.address))
+        .to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should announce queued changes and hold them for the full delay", async function () {
+      const data = revenueLoan.interface.encodeFunctionData("setFeeRates", [100, 100]);
+      const opSalt = ethers.utils.formatBytes32String("fees");
+      const id = await timelock.hashOperation(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt);
+
+      await expect(
+        timelock.connect(other).schedule(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt, TIMELOCK_DELAY)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(
+        timelock.schedule(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt, TIMELOCK_DELAY - 1)
+      ).to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+
+      await expect(timelock.schedule(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt, TIMELOCK_DELAY))
+        .to.emit(timelock, "CallScheduled")
+        .withArgs(id, 0, revenueLoan.address, 0, data, NO_PREDECESSOR, TIMELOCK_DELAY);
+
+      await expect(timelock.execute(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await ethers.provider.send("evm_increaseTime", [TIMELOCK_DELAY]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        timelock.connect(other).execute(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(timelock.execute(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt))
+        .to.emit(timelock, "CallExecuted")
+        .and.to.emit(revenueLoan, "FeeRatesUpdated")
+        .withArgs(100, 100);
+    });
+
+    it("Should let a proposer cancel a queued change", async function () {
+      const data = revenueLoan.interface.encodeFunctionData("unpause", []);
+      const opSalt = ethers.utils.formatBytes32String("unpause");
+      const id = await timelock.hashOperation(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt);
+
+      await revenueLoan.connect(owner).pause();
+      await timelock.schedule(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt, TIMELOCK_DELAY);
+      await expect(timelock.cancel(id)).to.emit(timelock, "Cancelled").withArgs(id);
+
+      await ethers.provider.send("evm_increaseTime", [TIMELOCK_DELAY]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(timelock.execute(revenueLoan.address, 0, data, NO_PREDECESSOR, opSalt))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+      expect(await revenueLoan.paused()).to.be.true;
+    });
+
+    it("Should grant and revoke reporters through the timelock", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+
+      await expect(revenueLoan.connect(other).reportRevenue(1, 1000))
+        .to.be.revertedWithCustomError(revenueLoan, "NotRevenueReporter");
+
+      await expect(govern("grantRole", [REPORTER_ROLE, other.address]))
+        .to.emit(revenueLoan, "RoleGranted")
+        .withArgs(REPORTER_ROLE, other.address, timelock.address);
+      await expect(revenueLoan.connect(other).reportRevenue(1, 1000))
+        .to.emit(revenueLoan, "RevenueReported");
+
+      await govern("revokeRole", [REPORTER_ROLE, other.address]);
+      await expect(revenueLoan.connect(other).reportRevenue(1, 1000))
+        .to.be.revertedWithCustomError(revenueLoan, "NotRevenueReporter");
+    });
+
+    it("Should let a newly granted treasury withdraw fees", async function () {
+      await govern("setFeeRates", [100, 0]);
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      const fee = PRINCIPAL.mul(100).div(10000);
+
+      await expect(revenueLoan.connect(other).withdrawProtocolFees(NATIVE))
+        .to.be.revertedWithCustomError(revenueLoan, "NotTreasury");
+
+      await govern("grantRole", [TREASURY_ROLE, other.address]);
+      await expect(revenueLoan.connect(other).withdrawProtocolFees(NATIVE))
+        .to.emit(revenueLoan, "ProtocolFeesWithdrawn")
+        .withArgs(other.address, NATIVE, fee);
+    });
+
+    it("Should let a role holder renounce its own role immediately", async function () {
+      await revenueLoan.connect(owner).renounceRole(PAUSER_ROLE, owner.address);
+
+      await expect(revenueLoan.connect(owner).pause())
+        .to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Pause Escape Hatch", function () {
+    const PERIOD = 24 * 60 * 60; // daily installments
+    const INSTALLMENT = ethers.utils.parseEther("1");
+
+    async function createDefaultLoan(schedule = NO_SCHEDULE) {
+      return revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        schedule,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    }
+
+    async function advance(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    it("Should block new loans and funding while paused", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(owner).pause();
+
+      await expect(createDefaultLoan())
+        .to.be.revertedWithCustomError(revenueLoan, "EnforcedPause");
+      await expect(revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL }))
+        .to.be.revertedWithCustomError(revenueLoan, "EnforcedPause");
+    });
+
+    it("Should let the borrower cancel an unfunded request while paused", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(owner).pause();
+
+      await expect(revenueLoan.connect(borrower).cancelLoan(1))
+        .to.emit(revenueLoan, "LoanCancelled")
+        .withArgs(1, COLLATERAL);
+    });
+
+    it("Should let the borrower repay in full while paused", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await revenueLoan.connect(owner).pause();
+
+      const owed = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await expect(revenueLoan.connect(borrower).repay(1, owed, { value: owed }))
+        .to.emit(revenueLoan, "LoanClosed")
+        .withArgs(1)
+        .and.to.changeEtherBalance(lender, owed);
+      expect((await revenueLoan.loans(1)).active).to.be.false;
+    });
+
+    it("Should stop the loan clock while paused", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+
+      await revenueLoan.connect(owner).pause();
+      const frozen = await revenueLoan.loanClock(1);
+      await advance(DURATION);
+      expect(await revenueLoan.loanClock(1)).to.equal(frozen);
+
+      // The unpause waits out the timelock delay, still on the frozen clock
+      await govern("unpause", []);
+      const pausedFor = (await revenueLoan.totalPausedTime()).toNumber();
+      expect(pausedFor).to.be.greaterThan(DURATION);
+
+      const latest = await ethers.provider.getBlock("latest");
+      expect(await revenueLoan.loanClock(1)).to.equal(latest.timestamp - pausedFor);
+    });
+
+    it("Should extend maturity by the paused duration", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      const { startTime } = await revenueLoan.loans(1);
+
+      await advance(DURATION / 2);
+      await revenueLoan.connect(owner).pause();
+      await advance(DURATION);
+
+      // Past the original maturity, but the loan has only run for half its term
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+
+      await govern("unpause", []);
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+
+      const pausedFor = (await revenueLoan.totalPausedTime()).toNumber();
+      const [, nextDueDate] = await revenueLoan.getLoan(1);
+      expect(nextDueDate).to.equal(startTime.add(DURATION + pausedFor));
+
+      await advance(DURATION / 2);
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted")
+        .withArgs(1);
+    });
+
+    it("Should not let installments fall due while paused", async function () {
+      await createDefaultLoan([PERIOD, INSTALLMENT, 0, 2]);
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+
+      await revenueLoan.connect(owner).pause();
+      await advance(PERIOD * 3);
+
+      expect(await revenueLoan.amountDue(1)).to.equal(0);
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+    });
+
+    it("Should let lenders claim a default reached before the pause", async function () {
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+
+      await advance(DURATION + 1);
+      await revenueLoan.connect(owner).pause();
+
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted")
+        .withArgs(1);
+    });
+
+    it("Should not extend loans funded after a pause", async function () {
+      await revenueLoan.connect(owner).pause();
+      await advance(DURATION);
+      await govern("unpause", []);
+
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+
+      const latest = await ethers.provider.getBlock("latest");
+      expect(await revenueLoan.loanClock(1)).to.equal(latest.timestamp);
+
+      await advance(DURATION + 1);
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.emit(revenueLoan, "LoanDefaulted");
+    });
+  });
+
+  describe("Loan Amendments", function () {
+    const NEW_DURATION = DURATION * 2;
+    const NEW_CAP = 130;
+    const SCHEDULE = [DURATION, 0, 10, 2]; // 10% of the cap per week, default after two misses
+
+    async function createDefaultLoan() {
+      return revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    }
+
+    beforeEach(async function () {
+      await createDefaultLoan();
+    });
+
+    describe("with a single lender", function () {
+      beforeEach(async function () {
+        await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      });
+
+      it("Should apply terms proposed by the borrower once the lender accepts", async function () {
+        await expect(revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE))
+          .to.emit(revenueLoan, "AmendmentProposed")
+          .and.to.emit(revenueLoan, "AmendmentAccepted")
+          .withArgs(1, 1, borrower.address);
+
+        expect(await revenueLoan.amendmentCount(1)).to.equal(1);
+        expect((await revenueLoan.amendments(1)).duration).to.equal(NEW_DURATION);
+        expect((await revenueLoan.loans(1)).duration).to.equal(DURATION);
+
+        await expect(revenueLoan.connect(lender).acceptAmendment(1, 1))
+          .to.emit(revenueLoan, "LoanAmended")
+          .withArgs(1, 1, NEW_DURATION, NEW_CAP);
+
+        const loan = await revenueLoan.loans(1);
+        expect(loan.duration).to.equal(NEW_DURATION);
+        expect(loan.repaymentCapPercent).to.equal(NEW_CAP);
+        expect((await revenueLoan.amendments(1)).duration).to.equal(0);
+        expect(await revenueLoan.remainingObligation(1)).to.equal(PRINCIPAL.mul(NEW_CAP).div(100));
+      });
+
+      it("Should let the lender propose and the borrower accept a new schedule", async function () {
+        await revenueLoan.connect(lender).proposeAmendment(1, NEW_DURATION, REPAYMENT_CAP, SCHEDULE);
+
+        await expect(revenueLoan.connect(borrower).acceptAmendment(1, 1))
+          .to.emit(revenueLoan, "PaymentScheduleSet")
+          .withArgs(1, ...SCHEDULE);
+
+        const schedule = await revenueLoan.schedules(1);
+        expect(schedule.period).to.equal(DURATION);
+        expect(schedule.installmentPercent).to.equal(10);
+
+        await ethers.provider.send("evm_increaseTime", [DURATION]);
+        await ethers.provider.send("evm_mine", []);
+        expect(await revenueLoan.amountDue(1)).to.equal(PRINCIPAL.mul(REPAYMENT_CAP).div(1000));
+      });
+
+      it("Should keep an extended loan out of default", async function () {
+        await revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE);
+        await revenueLoan.connect(lender).acceptAmendment(1, 1);
+
+        await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+        await ethers.provider.send("evm_mine", []);
+        await expect(revenueLoan.connect(lender).claimCollateral(1))
+          .to.be.revertedWithCustomError(revenueLoan, "LoanNotMatured");
+      });
+
+      it("Should only let the borrower and note holders take part", async function () {
+        await expect(revenueLoan.connect(other).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE))
+          .to.be.revertedWithCustomError(revenueLoan, "NotLoanParty");
+
+        await revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE);
+        await expect(revenueLoan.connect(other).acceptAmendment(1, 1))
+          .to.be.revertedWithCustomError(revenueLoan, "NotLoanParty");
+      });
+
+      it("Should only accept the latest pending amendment", async function () {
+        await expect(revenueLoan.connect(lender).acceptAmendment(1, 1))
+          .to.be.revertedWithCustomError(revenueLoan, "AmendmentDoesNotExist");
+
+        await revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE);
+        await revenueLoan.connect(lender).proposeAmendment(1, NEW_DURATION, 140, NO_SCHEDULE);
+
+        // The borrower's acceptance of the first proposal does not carry over
+        await expect(revenueLoan.connect(borrower).acceptAmendment(1, 1))
+          .to.be.revertedWithCustomError(revenueLoan, "AmendmentDoesNotExist");
+
+        await expect(revenueLoan.connect(borrower).acceptAmendment(1, 2))
+          .to.emit(revenueLoan, "LoanAmended")
+          .withArgs(1, 2, NEW_DURATION, 140);
+
+        await expect(revenueLoan.connect(lender).acceptAmendment(1, 2))
+          .to.be.revertedWithCustomError(revenueLoan, "AmendmentDoesNotExist");
+      });
+
+      it("Should reject invalid terms", async function () {
+        await expect(revenueLoan.connect(borrower).proposeAmendment(1, 0, NEW_CAP, NO_SCHEDULE))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidDuration");
+        await expect(revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, 99, NO_SCHEDULE))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidRepaymentCap");
+        await expect(revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, [NEW_DURATION + 1, 0, 10, 2]))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidSchedule");
+
+        // A cap the borrower has already repaid
+        const paid = PRINCIPAL.mul(110).div(100);
+        await revenueLoan.connect(borrower).repay(1, paid, { value: paid });
+        await expect(revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, 110, NO_SCHEDULE))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidAmendment");
+
+        // A maturity that has already passed
+        await ethers.provider.send("evm_increaseTime", [DURATION]);
+        await ethers.provider.send("evm_mine", []);
+        await expect(revenueLoan.connect(borrower).proposeAmendment(1, DURATION, NEW_CAP, NO_SCHEDULE))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidAmendment");
+      });
+
+      it("Should re-check terms that went stale before acceptance", async function () {
+        await revenueLoan.connect(borrower).proposeAmendment(1, DURATION + 60, NEW_CAP, NO_SCHEDULE);
+
+        await ethers.provider.send("evm_increaseTime", [DURATION + 120]);
+        await ethers.provider.send("evm_mine", []);
+        await expect(revenueLoan.connect(lender).acceptAmendment(1, 1))
+          .to.be.revertedWithCustomError(revenueLoan, "InvalidAmendment");
+      });
+    });
+
+    it("Should need every note holder of a syndicated loan", async function () {
+      const half = PRINCIPAL.div(2);
+      await revenueLoan.connect(lender).fundLoan(1, half, { value: half });
+      await revenueLoan.connect(other).fundLoan(1, half, { value: half });
+
+      await revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE);
+      await expect(revenueLoan.connect(lender).acceptAmendment(1, 1))
+        .to.emit(revenueLoan, "AmendmentAccepted")
+        .and.not.to.emit(revenueLoan, "LoanAmended");
+
+      await expect(revenueLoan.connect(other).acceptAmendment(1, 1))
+        .to.emit(revenueLoan, "LoanAmended")
+        .withArgs(1, 1, NEW_DURATION, NEW_CAP);
+    });
+
+    it("Should revert for a loan that is not active", async function () {
+      await expect(revenueLoan.connect(borrower).proposeAmendment(1, NEW_DURATION, NEW_CAP, NO_SCHEDULE))
+        .to.be.revertedWithCustomError(revenueLoan, "LoanNotActive");
+    });
+  });
+
+  describe("Revenue Splitter", function () {
+    let factory;
+    const PAYMENT = ethers.utils.parseEther("10"); // 10% share => 1 ETH repaid
+
+    async function createDefaultLoan() {
+      return revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+    }
+
+    async function deploySplitter(loanId) {
+      await factory.connect(borrower).createSplitter(loanId);
+      const splitter = await ethers.getContractAt("RevenueSplitter", await factory.splitterOf(loanId));
+      await revenueLoan.connect(borrower).setRepaymentAgent(loanId, splitter.address);
+      return splitter;
+    }
+
+    beforeEach(async function () {
+      const Factory = await ethers.getContractFactory("RevenueSplitterFactory");
+      factory = await Factory.deploy(revenueLoan.address);
+      await factory.deployed();
+
+      await createDefaultLoan();
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+    });
+
+    it("Should deploy one splitter per loan at a predictable address", async function () {
+      const predicted = await factory.splitterAddress(1);
+
+      await expect(factory.connect(other).createSplitter(1))
+        .to.be.revertedWithCustomError(factory, "NotBorrower");
+      await expect(factory.connect(borrower).createSplitter(1))
+        .to.emit(factory, "SplitterCreated")
+        .withArgs(1, predicted, borrower.address);
+      expect(await factory.splitterOf(1)).to.equal(predicted);
+
+      await expect(factory.connect(borrower).createSplitter(1))
+        .to.be.revertedWithCustomError(factory, "SplitterExists");
+
+      const splitter = await ethers.getContractAt("RevenueSplitter", predicted);
+      expect(await splitter.loanId()).to.equal(1);
+      expect(await splitter.borrower()).to.equal(borrower.address);
+      expect(await splitter.revenueSharePercent()).to.equal(REVENUE_SHARE);
+    });
+
+    it("Should only let the borrower set the repayment agent", async function () {
+      await expect(revenueLoan.connect(other).setRepaymentAgent(1, other.address))
+        .to.be.revertedWithCustomError(revenueLoan, "NotBorrower");
+      await expect(revenueLoan.connect(borrower).setRepaymentAgent(1, other.address))
+        .to.emit(revenueLoan, "RepaymentAgentSet")
+        .withArgs(1, other.address);
+
+      // The agent pays, the borrower keeps ownership of refunds
+      const owed = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await expect(revenueLoan.connect(other).repay(1, owed.add(1), { value: owed.add(1) }))
+        .to.emit(revenueLoan, "LoanClosed")
+        .and.to.changeEtherBalance(borrower, COLLATERAL.add(1));
+    });
+
+    it("Should route the revenue share of each payment to the lender", async function () {
+      const splitter = await deploySplitter(1);
+      const share = PAYMENT.mul(REVENUE_SHARE).div(100);
+
+      await expect(other.sendTransaction({ to: splitter.address, value: PAYMENT }))
+        .to.emit(splitter, "RevenueSplit")
+        .withArgs(PAYMENT, share, PAYMENT.sub(share))
+        .and.to.changeEtherBalances([lender, borrower], [share, PAYMENT.sub(share)]);
+
+      expect((await revenueLoan.loans(1)).totalRepaid).to.equal(share);
+    });
+
+    it("Should send everything to the borrower once the cap is reached", async function () {
+      const splitter = await deploySplitter(1);
+      const owed = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      const bigPayment = owed.mul(100).div(REVENUE_SHARE).add(PAYMENT);
+
+      await expect(other.sendTransaction({ to: splitter.address, value: bigPayment }))
+        .to.emit(revenueLoan, "LoanClosed")
+        .and.to.changeEtherBalance(lender, owed);
+      expect((await revenueLoan.loans(1)).active).to.be.false;
+
+      await expect(other.sendTransaction({ to: splitter.address, value: PAYMENT }))
+        .to.emit(splitter, "RevenueSplit")
+        .withArgs(PAYMENT, 0, PAYMENT)
+        .and.to.changeEtherBalance(borrower, PAYMENT);
+    });
+
+    it("Should pass payments through until it is the repayment agent", async function () {
+      await factory.connect(borrower).createSplitter(1);
+      const splitter = await ethers.getContractAt("RevenueSplitter", await factory.splitterOf(1));
+
+      await expect(other.sendTransaction({ to: splitter.address, value: PAYMENT }))
+        .to.changeEtherBalance(borrower, PAYMENT);
+      expect((await revenueLoan.loans(1)).totalRepaid).to.equal(0);
+    });
+
+    it("Should split token payments on demand", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await token.deployed();
+      await govern("setAllowedAsset", [token.address, true]);
+
+      const amount = ethers.utils.parseUnits("1000", 6);
+      await token.mint(lender.address, amount);
+      await revenueLoan.connect(borrower).createLoan(
+        amount, REVENUE_SHARE, REPAYMENT_CAP, DURATION, deadline, token.address, 0, NO_SCHEDULE, NO_GRACE
+      );
+      await token.connect(lender).approve(revenueLoan.address, amount);
+      await revenueLoan.connect(lender).fundLoan(2, amount);
+
+      const splitter = await deploySplitter(2);
+      await expect(splitter.split()).to.be.revertedWithCustomError(splitter, "NothingToSplit");
+
+      const payment = ethers.utils.parseUnits("500", 6);
+      const share = payment.mul(REVENUE_SHARE).div(100);
+      await token.mint(splitter.address, payment);
+
+      await expect(splitter.connect(other).split()).to.changeTokenBalances(
+        token,
+        [lender, borrower, splitter],
+        [share, payment.sub(share), payment.mul(-1)]
+      );
+      expect(await token.allowance(splitter.address, revenueLoan.address)).to.equal(0);
+    });
+  });
+
+  describe("Lending Vault", function () {
+    let token, vault;
+    const UNIT = ethers.utils.parseUnits("1", 6);
+    const DEPOSIT = UNIT.mul(10000);
+    const LOAN_PRINCIPAL = UNIT.mul(1000);
+    const LOAN_COLLATERAL = UNIT.mul(300); // 30% of principal
+    const POLICY = {
+      maxPrincipal: UNIT.mul(5000),
+      minRepaymentCapPercent: 110,
+      minCollateralRatioBps: 2000,
+      maxDuration: DURATION,
+      minLoansRepaid: 0,
+      maxDefaults: 0
+    };
+
+    async function createTokenLoan(overrides = {}) {
+      const terms = {
+        principal: LOAN_PRINCIPAL,
+        cap: REPAYMENT_CAP,
+        duration: DURATION,
+        collateral: LOAN_COLLATERAL,
+        asset: token.address,
+        ...overrides
+      };
+      await token.connect(borrower).approve(revenueLoan.address, terms.collateral);
+      await revenueLoan.connect(borrower).createLoan(
+        terms.principal,
+        REVENUE_SHARE,
+        terms.cap,
+        terms.duration,
+        deadline,
+        terms.asset,
+        terms.collateral,
+        NO_SCHEDULE,
+        NO_GRACE
+      );
+      return (await revenueLoan.nextLoanId()).sub(1);
+    }
+
+    async function repayInFull(loanId) {
+      const owed = await revenueLoan.remainingObligation(loanId);
+      await token.connect(borrower).approve(revenueLoan.address, owed);
+      await revenueLoan.connect(borrower).repay(loanId, owed);
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await token.deployed();
+      await govern("setAllowedAsset", [token.address, true]);
+
+      const LendingVault = await ethers.getContractFactory("LendingVault");
+      vault = await LendingVault.deploy(
+        token.address,
+        revenueLoan.address,
+        timelock.address,
+        owner.address,
+        "FlowCredit mUSD Vault",
+        "fcvUSD"
+      );
+      await vault.deployed();
+      await vault.connect(owner).setPolicy(POLICY);
+
+      await token.mint(borrower.address, UNIT.mul(100000));
+      await token.mint(lender.address, DEPOSIT);
+      await token.connect(lender).approve(vault.address, DEPOSIT);
+      await vault.connect(lender).deposit(DEPOSIT, lender.address);
+    });
+
+    it("Should only let a curator change the policy", async function () {
+      await expect(vault.connect(other).setPolicy(POLICY))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+
+      await expect(vault.connect(owner).setPolicy({ ...POLICY, maxDefaults: 1 }))
+        .to.emit(vault, "PolicyUpdated")
+        .withArgs(POLICY.maxPrincipal, 110, 2000, DURATION, 0, 1);
+      expect((await vault.policy()).maxDefaults).to.equal(1);
+    });
+
+    it("Should fund an eligible request and hold its note", async function () {
+      const loanId = await createTokenLoan();
+
+      await expect(vault.connect(other).fundLoan(loanId))
+        .to.emit(vault, "PositionOpened")
+        .withArgs(loanId, LOAN_PRINCIPAL)
+        .and.to.emit(revenueLoan, "LoanFunded")
+        .withArgs(loanId, vault.address);
+
+      const [noteIds, holders] = await revenueLoan.getLoanNotes(loanId);
+      expect(noteIds.length).to.equal(1);
+      expect(holders[0]).to.equal(vault.address);
+      expect(await vault.getPositions()).to.deep.equal([loanId]);
+
+      // Idle assets moved into the loan; the share price is unchanged
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+      expect(await vault.maxWithdraw(lender.address)).to.equal(DEPOSIT.sub(LOAN_PRINCIPAL));
+    });
+
+    it("Should let a curator accept amendments to its loans", async function () {
+      const loanId = await createTokenLoan();
+      await vault.fundLoan(loanId);
+      await revenueLoan.connect(borrower).proposeAmendment(loanId, DURATION * 2, REPAYMENT_CAP, NO_SCHEDULE);
+
+      await expect(vault.connect(other).acceptAmendment(loanId, 1))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+
+      await expect(vault.connect(owner).acceptAmendment(loanId, 1))
+        .to.emit(revenueLoan, "AmendmentAccepted")
+        .withArgs(loanId, 1, vault.address)
+        .and.to.emit(revenueLoan, "LoanAmended");
+      expect((await revenueLoan.loans(loanId)).duration).to.equal(DURATION * 2);
+    });
+
+    it("Should refuse requests outside the policy", async function () {
+      const ineligible = [
+        { principal: UNIT.mul(6000), collateral: UNIT.mul(2000) },
+        { cap: 105 },
+        { collateral: UNIT.mul(100) },
+        { duration: DURATION + 1 }
+      ];
+      for (const overrides of ineligible) {
+        const loanId = await createTokenLoan(overrides);
+        await expect(vault.fundLoan(loanId))
+          .to.be.revertedWithCustomError(vault, "LoanNotEligible");
+      }
+
+      // A request in another asset
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, DURATION, deadline, NATIVE, 0, NO_SCHEDULE, NO_GRACE
+      );
+      await expect(vault.fundLoan(await revenueLoan.nextLoanId().then(id => id.sub(1))))
+        .to.be.revertedWithCustomError(vault, "LoanNotEligible");
+    });
+
+    it("Should take borrower reputation into account", async function () {
+      await vault.connect(owner).setPolicy({ ...POLICY, minLoansRepaid: 1 });
+      const first = await createTokenLoan();
+      await expect(vault.fundLoan(first))
+        .to.be.revertedWithCustomError(vault, "LoanNotEligible");
+
+      // Repay one loan funded elsewhere to build a track record
+      await token.mint(other.address, LOAN_PRINCIPAL);
+      await token.connect(other).approve(revenueLoan.address, LOAN_PRINCIPAL);
+      await revenueLoan.connect(other).fundLoan(first, LOAN_PRINCIPAL);
+      await repayInFull(first);
+
+      const second = await createTokenLoan();
+      await expect(vault.fundLoan(second)).to.emit(vault, "PositionOpened");
+    });
+
+    it("Should not fund more than its idle assets", async function () {
+      await vault.connect(owner).setPolicy({ ...POLICY, maxPrincipal: DEPOSIT.mul(2) });
+      const loanId = await createTokenLoan({ principal: DEPOSIT.add(1), collateral: DEPOSIT });
+
+      await expect(vault.fundLoan(loanId))
+        .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+    });
+
+    it("Should count repaid principal once and profit on top", async function () {
+      const loanId = await createTokenLoan();
+      await vault.fundLoan(loanId);
+
+      // Half the principal back: idle grows, the position shrinks by the same amount
+      const half = LOAN_PRINCIPAL.div(2);
+      await token.connect(borrower).approve(revenueLoan.address, half);
+      await revenueLoan.connect(borrower).repay(loanId, half);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+
+      await repayInFull(loanId);
+      const profit = LOAN_PRINCIPAL.mul(REPAYMENT_CAP - 100).div(100);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT.add(profit));
+      expect(await vault.convertToAssets(await vault.balanceOf(lender.address)))
+        .to.be.closeTo(DEPOSIT.add(profit), 1);
+
+      await expect(vault.closePosition(loanId))
+        .to.emit(vault, "PositionClosed")
+        .withArgs(loanId);
+      expect(await vault.getPositions()).to.deep.equal([]);
+    });
+
+    it("Should net the servicing fee out of recovered principal", async function () {
+      await govern("setFeeRates", [0, 1000]); // 10% of each repayment
+      const loanId = await createTokenLoan();
+      await vault.fundLoan(loanId);
+
+      const payment = LOAN_PRINCIPAL.div(2);
+      await token.connect(borrower).approve(revenueLoan.address, payment);
+      await revenueLoan.connect(borrower).repay(loanId, payment);
+
+      // The vault received 90% of the payment; only that counts as recovered
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+    });
+
+    it("Should mark a default down once the collateral is claimed", async function () {
+      const loanId = await createTokenLoan();
+      await vault.fundLoan(loanId);
+
+      await expect(vault.closePosition(loanId))
+        .to.be.revertedWithCustomError(vault, "PositionStillActive");
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(vault.connect(other).claimCollateral(loanId))
+        .to.emit(revenueLoan, "LoanDefaulted")
+        .and.to.emit(vault, "PositionClosed");
+
+      const loss = LOAN_PRINCIPAL.sub(LOAN_COLLATERAL);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT.sub(loss));
+      expect(await vault.maxWithdraw(lender.address)).to.be.closeTo(DEPOSIT.sub(loss), 1);
+    });
+
+    it("Should write a default down to its collateral before it is claimed", async function () {
+      const loanId = await createTokenLoan();
+      await vault.fundLoan(loanId);
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      const writtenDown = DEPOSIT.sub(LOAN_PRINCIPAL.sub(LOAN_COLLATERAL));
+      expect(await vault.totalAssets()).to.equal(writtenDown);
+
+      await vault.connect(other).claimCollateral(loanId);
+      expect(await vault.totalAssets()).to.equal(writtenDown);
+    });
+
+    it("Should write off a default with no collateral and let it be closed", async function () {
+      await vault.connect(owner).setPolicy({ ...POLICY, minCollateralRatioBps: 0 });
+      const loanId = await createTokenLoan({ collateral: 0 });
+      await vault.fundLoan(loanId);
+
+      await expect(vault.closePosition(loanId))
+        .to.be.revertedWithCustomError(vault, "PositionStillActive");
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      // Nothing can ever be claimed, so the whole principal is lost now
+      expect(await vault.totalAssets()).to.equal(DEPOSIT.sub(LOAN_PRINCIPAL));
+      await expect(vault.claimCollateral(loanId))
+        .to.be.revertedWithCustomError(revenueLoan, "NoCollateral");
+
+      await expect(vault.closePosition(loanId))
+        .to.emit(vault, "PositionClosed")
+        .withArgs(loanId);
+      expect(await vault.getPositions()).to.deep.equal([]);
+    });
+
+    it("Should revert for loans it has no position in", async function () {
+      await expect(vault.claimCollateral(99))
+        .to.be.revertedWithCustomError(vault, "NotAPosition");
+      await expect(vault.closePosition(99))
+        .to.be.revertedWithCustomError(vault, "NotAPosition");
+    });
+  });
+
+  describe("Note Market", function () {
+    let market, loanNote;
+    const PRICE = ethers.utils.parseEther("11");
+
+    beforeEach(async function () {
+      const NoteMarket = await ethers.getContractFactory("NoteMarket");
+      market = await NoteMarket.deploy(revenueLoan.address);
+      await market.deployed();
+      loanNote = await ethers.getContractAt("LoanNote", await revenueLoan.loanNote());
+
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await loanNote.connect(lender).setApprovalForAll(market.address, true);
+    });
+
+    it("Should only list approved positions of active loans held by the caller", async function () {
+      await expect(market.connect(other).list(1, PRICE))
+        .to.be.revertedWithCustomError(market, "NotNoteHolder");
+      await expect(market.connect(lender).list(1, 0))
+        .to.be.revertedWithCustomError(market, "InvalidPrice");
+
+      await loanNote.connect(lender).setApprovalForAll(market.address, false);
+      await expect(market.connect(lender).list(1, PRICE))
+        .to.be.revertedWithCustomError(market, "MarketNotApproved");
+      await loanNote.connect(lender).approve(market.address, 1);
+
+      await expect(market.connect(lender).list(1, PRICE))
+        .to.emit(market, "PositionListed")
+        .withArgs(1, 1, lender.address, PRICE);
+      expect(await market.isListed(1)).to.equal(true);
+
+      const [noteIds, sellers, prices, live, total] = await market.getListings(0, 10);
+      expect(noteIds.map(Number)).to.deep.equal([1]);
+      expect(sellers).to.deep.equal([lender.address]);
+      expect(prices[0]).to.equal(PRICE);
+      expect(live).to.deep.equal([true]);
+      expect(total).to.equal(1);
+    });
+
+    it("Should pay the seller and hand the buyer all future repayments", async function () {
+      await market.connect(lender).list(1, PRICE);
+
+      await expect(market.connect(other).buy(1, PRICE.add(1), { value: PRICE.add(1) }))
+        .to.be.revertedWithCustomError(market, "PriceChanged");
+      await expect(market.connect(other).buy(1, PRICE, { value: PRICE.sub(1) }))
+        .to.be.revertedWithCustomError(market, "IncorrectPayment");
+      await expect(market.connect(lender).buy(1, PRICE, { value: PRICE }))
+        .to.be.revertedWithCustomError(market, "CannotBuyOwnListing");
+
+      await expect(market.connect(other).buy(1, PRICE, { value: PRICE }))
+        .to.emit(market, "PositionSold")
+        .withArgs(1, 1, other.address, lender.address, PRICE)
+        .and.to.changeEtherBalances([other, lender], [PRICE.mul(-1), PRICE]);
+      expect(await loanNote.ownerOf(1)).to.equal(other.address);
+      expect(await market.isListed(1)).to.equal(false);
+      expect((await market.getListings(0, 10)).total).to.equal(0);
+
+      const owed = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await expect(revenueLoan.connect(borrower).repay(1, owed, { value: owed }))
+        .to.changeEtherBalances([other, lender], [owed, 0]);
+    });
+
+    it("Should give the buyer the collateral claim on default", async function () {
+      await market.connect(lender).list(1, PRICE);
+      await market.connect(other).buy(1, PRICE, { value: PRICE });
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(revenueLoan.connect(lender).claimCollateral(1))
+        .to.be.revertedWithCustomError(revenueLoan, "NotLender");
+      await expect(revenueLoan.connect(other).claimCollateral(1))
+        .to.changeEtherBalance(other, COLLATERAL);
+    });
+
+    it("Should cancel listings when the loan closes or the note moves", async function () {
+      await market.connect(lender).list(1, PRICE);
+
+      // Only the seller may withdraw a live listing
+      await expect(market.connect(other).cancelListing(1))
+        .to.be.revertedWithCustomError(market, "ListingStillActive");
+
+      const owed = PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await revenueLoan.connect(borrower).repay(1, owed, { value: owed });
+
+      expect(await market.isListed(1)).to.equal(false);
+      expect((await market.getListings(0, 10)).live).to.deep.equal([false]);
+      await expect(market.connect(other).buy(1, PRICE, { value: PRICE }))
+        .to.be.revertedWithCustomError(market, "ListingNotActive");
+
+      // Anyone may clear the stale listing
+      await expect(market.connect(other).cancelListing(1))
+        .to.emit(market, "ListingCancelled")
+        .withArgs(1);
+      expect((await market.getListings(0, 10)).total).to.equal(0);
+      await expect(market.connect(other).cancelListing(1))
+        .to.be.revertedWithCustomError(market, "ListingNotActive");
+    });
+
+    it("Should not revive a listing when the note returns to the seller", async function () {
+      await market.connect(lender).list(1, PRICE);
+
+      await loanNote.connect(lender).transferFrom(lender.address, other.address, 1);
+      await loanNote.connect(other).transferFrom(other.address, lender.address, 1);
+
+      // The seller holds the note and the market is still approved, but the old price is stale
+      expect(await market.isListed(1)).to.equal(false);
+      await expect(market.connect(other).buy(1, PRICE, { value: PRICE }))
+        .to.be.revertedWithCustomError(market, "ListingNotActive");
+
+      // Relisting makes it live again
+      await market.connect(lender).list(1, PRICE.mul(2));
+      expect(await market.isListed(1)).to.equal(true);
+    });
+
+    it("Should settle token positions in the loan asset", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await token.deployed();
+      await govern("setAllowedAsset", [token.address, true]);
+
+      const amount = ethers.utils.parseUnits("1000", 6);
+      const price = ethers.utils.parseUnits("1050", 6);
+      await token.mint(lender.address, amount);
+      await token.mint(other.address, price);
+
+      await revenueLoan.connect(borrower).createLoan(
+        amount, REVENUE_SHARE, REPAYMENT_CAP, DURATION, deadline, token.address, 0, NO_SCHEDULE, NO_GRACE
+      );
+      await token.connect(lender).approve(revenueLoan.address, amount);
+      await revenueLoan.connect(lender).fundLoan(2, amount);
+      await market.connect(lender).list(2, price);
+
+      await expect(market.connect(other).buy(2, price, { value: 1 }))
+        .to.be.revertedWithCustomError(market, "IncorrectPayment");
+
+      await token.connect(other).approve(market.address, price);
+      await expect(market.connect(other).buy(2, price))
+        .to.changeTokenBalances(token, [other, lender], [price.mul(-1), price]);
+      expect(await loanNote.ownerOf(2)).to.equal(other.address);
+    });
+  });
+
+  describe("Multicall Reads", function () {
+    let multicall;
+
+    beforeEach(async function () {
+      const Multicall = await ethers.getContractFactory("Multicall");
+      multicall = await Multicall.deploy();
+      await multicall.deployed();
+    });
+
+    async function seedLoans(count) {
+      for (let i = 0; i < count; i++) {
+        await revenueLoan.connect(borrower).createLoan(
+          PRINCIPAL.add(i),
+          REVENUE_SHARE,
+          REPAYMENT_CAP,
+          DURATION,
+          deadline,
+          NATIVE,
+          0,
+          NO_SCHEDULE,
+          NO_GRACE
+        );
+      }
+    }
+
+    // Two of the reads the frontend makes per loan
+    function loanCalls(loanIds) {
+      return loanIds.flatMap(id => [
+        { target: revenueLoan.address, callData: revenueLoan.interface.encodeFunctionData("getLoan", [id]) },
+        { target: revenueLoan.address, callData: revenueLoan.interface.encodeFunctionData("loanFeeRates", [id]) }
+      ]);
+    }
+
+    function decodePrincipal(result) {
+      const [loan] = revenueLoan.interface.decodeFunctionResult("getLoan", result.returnData);
+      return loan.principal.toString();
+    }
+
+    it("Should report a failing call without failing the batch", async function () {
+      await seedLoans(2);
+
+      const results = await multicall.aggregate(loanCalls([1, 99, 2]));
+      expect(results.map(r => r.success)).to.deep.equal([true, true, false, true, true, true]);
+      expect(revenueLoan.interface.parseError(results[2].returnData).name).to.equal("LoanDoesNotExist");
+      expect(decodePrincipal(results[0])).to.equal(PRINCIPAL.toString());
+      expect(decodePrincipal(results[4])).to.equal(PRINCIPAL.add(1).toString());
+    });
+
+    it("Should return the same data as calling each view directly", async function () {
+      await seedLoans(3);
+      await revenueLoan.connect(lender).fundLoan(2, PRINCIPAL.add(1), { value: PRINCIPAL.add(1) });
+
+      const calls = loanCalls([1, 2, 3]);
+      const results = await multicall.aggregate(calls);
+      expect(results.length).to.equal(calls.length);
+      for (let i = 0; i < calls.length; i++) {
+        expect(results[i].success).to.equal(true);
+        expect(results[i].returnData).to.equal(
+          await ethers.provider.call({ to: calls[i].target, data: calls[i].callData })
+        );
+      }
+    });
+
+    it("Should load a few hundred loans into the frontend in a handful of requests", async function () {
+      const COUNT = 300;
+      const BATCH_SIZE = 50; // MULTICALL_BATCH_SIZE in frontend/contract.js
+      this.timeout(120000);
+      await seedLoans(COUNT);
+      const frontend = loadFrontend(revenueLoan.address, multicall.address);
+      await frontend.waitForContract();
+      const loanIds = Array.from({ length: COUNT }, (_, i) => i + 1);
+
+      let started = Date.now();
+      const { loans, failed } = await frontend.getLoans(loanIds);
+      const batchedMs = Date.now() - started;
+      expect(failed).to.deep.equal([]);
+      expect(loans.map((loan) => loan.id)).to.deep.equal(loanIds.map(String));
+      expect(loans[COUNT - 1].principal).to.equal(ethers.utils.formatEther(PRINCIPAL.add(COUNT - 1)));
+      expect(frontend.requests.eth_call).to.equal(COUNT / BATCH_SIZE);
+
+      // Against reading each loan on its own: getLoan and loanFeeRates per loan
+      started = Date.now();
+      await Promise.all(loanIds.map((id) => frontend.getLoan(id)));
+      const perLoanMs = Date.now() - started;
+      expect(frontend.requests.eth_call).to.equal(COUNT / BATCH_SIZE + 2 * COUNT);
+
+      // Timings are reported, not asserted: in-process there is no network round trip to save
+      this.test.title += ` (${COUNT} loans: ${batchedMs} ms batched, ${perLoanMs} ms one by one)`;
+    });
+  });
+
+  describe("Frontend Loan Store", function () {
+    let frontend;
+
+    beforeEach(async function () {
+      const Multicall = await ethers.getContractFactory("Multicall");
+      const multicall = await Multicall.deploy();
+      await multicall.deployed();
+      frontend = loadFrontend(revenueLoan.address, multicall.address);
+    });
+
+    // Moves the chain and the page's clock on together, without any contract event. Waits
+    // out the page provider's block number cache so the next poll sees the new block.
+    async function advance(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+      frontend.now = (await ethers.provider.getBlock("latest")).timestamp;
+      await new Promise((resolve) => setTimeout(resolve, 300));
+    }
+
+    it("Should drop a request from the open ones once it expires", async function () {
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, DURATION, deadline, NATIVE, 0, NO_SCHEDULE, NO_GRACE
+      );
+      await advance(0);
+      await frontend.startLoanStore();
+      const updates = [];
+      frontend.subscribeLoans((update) => updates.push(update));
+      expect(frontend.getStoredLoans().map((loan) => loan.status)).to.deep.equal(["open"]);
+
+      await advance(FUNDING_WINDOW + 1);
+      await frontend.refreshLoanStore();
+
+      expect(updates.length).to.equal(1);
+      expect(updates[0].events).to.deep.equal([]);
+      expect(updates[0].changed).to.deep.equal(["1"]);
+      expect(frontend.getStoredLoans().map((loan) => loan.status)).to.deep.equal(["expired"]);
+    });
+
+    it("Should keep due dates and arrears in step with the loan clock", async function () {
+      const DAY = 24 * 60 * 60;
+      const schedule = [DAY, ethers.utils.parseEther("1"), 0, 3];
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL, REVENUE_SHARE, REPAYMENT_CAP, DURATION, deadline, NATIVE, 0, schedule, NO_GRACE
+      );
+      await revenueLoan.connect(lender).fundLoan(1, PRINCIPAL, { value: PRINCIPAL });
+      await advance(0);
+      await frontend.startLoanStore();
+
+      const expectInStep = async () => {
+        const [, nextDueDate, arrears] = await revenueLoan.getLoan(1);
+        const [stored] = frontend.getStoredLoans();
+        expect(stored.nextDueDate).to.equal(nextDueDate.toString());
+        expect(stored.arrears).to.equal(ethers.utils.formatEther(arrears));
+      };
+
+      await advance(DAY * 2 + DAY / 2);
+      await frontend.refreshLoanStore();
+      expect(frontend.getStoredLoans()[0].arrears).to.equal("2.0");
+      await expectInStep();
+
+      // The clock stops while paused, which pushes the due date out
+      await revenueLoan.connect(owner).pause();
+      await advance(DAY * 2);
+      await frontend.refreshLoanStore();
+      await expectInStep();
+    });
+  });
+
+  describe("ERC-20 Loans", function () {
+    let token;
+    const UNIT = ethers.utils.parseUnits("1", 6);
+    const TOKEN_PRINCIPAL = UNIT.mul(10000); // 10,000 USD
+    const TOKEN_COLLATERAL = UNIT.mul(2000);
+
+    async function createTokenLoan() {
+      await token.connect(borrower).approve(revenueLoan.address, TOKEN_COLLATERAL);
+      return revenueLoan.connect(borrower).createLoan(
+        TOKEN_PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        token.address,
+        TOKEN_COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE
+      );
+    }
+
+    async function fundTokenLoan(loanId) {
+      await token.connect(lender).approve(revenueLoan.address, TOKEN_PRINCIPAL);
+      return revenueLoan.connect(lender).fundLoan(loanId, TOKEN_PRINCIPAL);
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await token.deployed();
+
+      await token.mint(borrower.address, UNIT.mul(100000));
+      await token.mint(lender.address, UNIT.mul(100000));
+      await govern("setAllowedAsset", [token.address, true]);
+    });
+
+    it("Should revert for an asset that is not allowlisted", async function () {
+      await govern("setAllowedAsset", [token.address, false]);
+      await expect(createTokenLoan()).to.be.revertedWithCustomError(revenueLoan, "AssetNotAllowed");
+    });
+
+    it("Should only let the parameter admin manage the asset allowlist", async function () {
+      await expect(
+        revenueLoan.connect(owner).setAllowedAsset(token.address, true)
+      ).to.be.revertedWithCustomError(revenueLoan, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should pull token collateral on creation", async function () {
+      await expect(createTokenLoan()).to.changeTokenBalances(
+        token,
+        [borrower, revenueLoan],
+        [TOKEN_COLLATERAL.mul(-1), TOKEN_COLLATERAL]
+      );
+
+      const loan = await revenueLoan.loans(1);
+      expect(loan.asset).to.equal(token.address);
+      expect(loan.collateralAmount).to.equal(TOKEN_COLLATERAL);
+    });
+
+    it("Should reject native value on a token loan", async function () {
+      await createTokenLoan();
+      await token.connect(lender).approve(revenueLoan.address, TOKEN_PRINCIPAL);
+      await expect(
+        revenueLoan.connect(lender).fundLoan(1, TOKEN_PRINCIPAL, { value: 1 })
+      ).to.be.revertedWithCustomError(revenueLoan, "IncorrectFundingAmount");
+    });
+
+    it("Should fund, repay in tokens and return collateral", async function () {
+      await createTokenLoan();
+
+      await expect(fundTokenLoan(1)).to.changeTokenBalances(
+        token,
+        [lender, borrower],
+        [TOKEN_PRINCIPAL.mul(-1), TOKEN_PRINCIPAL]
+      );
+
+      const required = TOKEN_PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await token.connect(borrower).approve(revenueLoan.address, required);
+      await expect(revenueLoan.connect(borrower).repay(1, required))
+        .to.emit(revenueLoan, "LoanClosed")
+        .withArgs(1);
+
+      expect(await token.balanceOf(revenueLoan.address)).to.equal(0);
+      const loan = await revenueLoan.loans(1);
+      expect(loan.totalRepaid).to.equal(required);
+    });
+
+    it("Should only pull the outstanding amount on token overpayment", async function () {
+      await createTokenLoan();
+      await fundTokenLoan(1);
+
+      const required = TOKEN_PRINCIPAL.mul(REPAYMENT_CAP).div(100);
+      await token.connect(borrower).approve(revenueLoan.address, required.mul(2));
+      await expect(
+        revenueLoan.connect(borrower).repay(1, required.mul(2))
+      ).to.changeTokenBalance(token, lender, required);
+    });
+
+    it("Should pay token collateral to the lender on default", async function () {
+      await createTokenLoan();
+      await fundTokenLoan(1);
+
+      await ethers.provider.send("evm_increaseTime", [DURATION + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        revenueLoan.connect(lender).claimCollateral(1)
+      ).to.changeTokenBalances(token, [lender, revenueLoan], [TOKEN_COLLATERAL, TOKEN_COLLATERAL.mul(-1)]);
+    });
+
+    it("Should keep native loans working alongside token loans", async function () {
+      await createTokenLoan();
+      await revenueLoan.connect(borrower).createLoan(
+        PRINCIPAL,
+        REVENUE_SHARE,
+        REPAYMENT_CAP,
+        DURATION,
+        deadline,
+        NATIVE,
+        COLLATERAL,
+        NO_SCHEDULE,
+        NO_GRACE,
+        { value: COLLATERAL }
+      );
+
+      await expect(
+        revenueLoan.connect(lender).fundLoan(2, PRINCIPAL, { value: PRINCIPAL })
+      ).to.changeEtherBalance(borrower, PRINCIPAL);
+    });
+  });
 });
\ No newline at end of file